@@ -0,0 +1,168 @@
+<?php
+/**
+ * Cart Model Class
+ *
+ * This class handles the server-side shopping cart of logged-in users,
+ * stored one row per product in the cart_items table. Guests keep their
+ * cart in the browser; it is merged into the account cart after login.
+ *
+ * Features:
+ * - Cart contents with current product prices
+ * - Adding, updating and removing items, within each product's stock
+ *   and ordering rules
+ * - Emptying the cart
+ */
+
+require_once 'Database.php';
+require_once 'Product.php';
+require_once __DIR__ . '/../config/constants.php';
+
+class Cart
+{
+    private $db;
+    private $productModel;
+
+    public function __construct()
+    {
+        $this->db = Database::getInstance();
+        $this->productModel = new Product();
+    }
+
+    /**
+     * Get the items of a user's cart
+     *
+     * Prices, names and images are read from the products table so the
+     * cart always shows what checkout will charge.
+     *
+     * @param int $userId User ID
+     * @return array Items with product_id, quantity, price, name, image and created_at
+     */
+    public function getItems($userId)
+    {
+        $sql = "SELECT ci.product_id, ci.quantity, ci.created_at, p.price, p.name, p.image
+                FROM cart_items ci
+                JOIN products p ON ci.product_id = p.id
+                WHERE ci.user_id = :user_id AND p.status = :status
+                ORDER BY ci.created_at ASC, ci.id ASC";
+
+        $items = $this->db->fetchAll($sql, [
+            'user_id' => $userId,
+            'status' => STATUS_ACTIVE
+        ]);
+
+        return array_map(function ($item) {
+            return [
+                'product_id' => (int) $item['product_id'],
+                'quantity' => (int) $item['quantity'],
+                'price' => $item['price'],
+                'name' => $item['name'],
+                'image' => $item['image'] ? '/public/images/products/' . $item['image'] : '',
+                'created_at' => $item['created_at']
+            ];
+        }, $items);
+    }
+
+    /**
+     * Get the quantity of a product in a user's cart
+     *
+     * @param int $userId User ID
+     * @param int $productId Product ID
+     * @return int Quantity, 0 when the product is not in the cart
+     */
+    public function getQuantity($userId, $productId)
+    {
+        $sql = "SELECT quantity FROM cart_items WHERE user_id = :user_id AND product_id = :product_id";
+
+        return (int) $this->db->fetchColumn($sql, [
+            'user_id' => $userId,
+            'product_id' => $productId
+        ]);
+    }
+
+    /**
+     * Add a quantity of a product to a user's cart
+     *
+     * @param int $userId User ID
+     * @param int $productId Product ID
+     * @param int $quantity Quantity to add
+     * @return bool False when the product does not exist or is not for sale
+     */
+    public function add($userId, $productId, $quantity)
+    {
+        return $this->setQuantity($userId, $productId, $this->getQuantity($userId, $productId) + $quantity);
+    }
+
+    /**
+     * Set the quantity of a product in a user's cart
+     *
+     * A quantity of 0 or less removes the product. Other quantities are
+     * brought within the product's stock and ordering rules, as the cart
+     * script does before it calls the server.
+     *
+     * @param int $userId User ID
+     * @param int $productId Product ID
+     * @param int $quantity New quantity
+     * @return bool False when the product does not exist, is not for sale or cannot be ordered
+     */
+    public function setQuantity($userId, $productId, $quantity)
+    {
+        if ($quantity <= 0) {
+            $this->remove($userId, $productId);
+            return true;
+        }
+
+        $rules = $this->productModel->getStockRules($productId);
+        if (!$rules) {
+            return false;
+        }
+
+        $quantity = $this->productModel->allowedQuantity($rules, $quantity);
+        if ($quantity === 0) {
+            return false;
+        }
+
+        $affected = $this->db->update('cart_items', [
+            'quantity' => $quantity,
+            'updated_at' => date(DATETIME_FORMAT)
+        ], 'user_id = :user_id AND product_id = :product_id', [
+            'user_id' => $userId,
+            'product_id' => $productId
+        ]);
+
+        if ($affected === 0 && $this->getQuantity($userId, $productId) === 0) {
+            $this->db->insert('cart_items', [
+                'user_id' => $userId,
+                'product_id' => $productId,
+                'quantity' => $quantity,
+                'created_at' => date(DATETIME_FORMAT),
+                'updated_at' => date(DATETIME_FORMAT)
+            ]);
+        }
+
+        return true;
+    }
+
+    /**
+     * Remove a product from a user's cart
+     *
+     * @param int $userId User ID
+     * @param int $productId Product ID
+     */
+    public function remove($userId, $productId)
+    {
+        $this->db->delete('cart_items', 'user_id = :user_id AND product_id = :product_id', [
+            'user_id' => $userId,
+            'product_id' => $productId
+        ]);
+    }
+
+    /**
+     * Remove every item from a user's cart
+     *
+     * @param int $userId User ID
+     */
+    public function clear($userId)
+    {
+        $this->db->delete('cart_items', 'user_id = :user_id', ['user_id' => $userId]);
+    }
+}
@@ -209,6 +209,148 @@ class Product
         ];
     }
     
+    /**
+     * Get a page of the storefront listing
+     * 
+     * Only active products are listed. Filters are the listing's URL
+     * parameters: category and brand take comma-separated lists of values.
+     * 
+     * @param array $filters category, brand, min_price, max_price, search, sort
+     * @param int $page Page number
+     * @param int $limit Items per page
+     * @return array Products with id, name, description, price, compare_price, image and rating, plus total, page and pages
+     */
+    public function getListing($filters = [], $page = 1, $limit = DEFAULT_ITEMS_PER_PAGE)
+    {
+        $where = $this->listingWhere($filters);
+        
+        $orderBy = "p.created_at DESC";
+        switch ($filters['sort'] ?? '') {
+            case 'price_asc':
+                $orderBy = "p.price ASC";
+                break;
+            case 'price_desc':
+                $orderBy = "p.price DESC";
+                break;
+            case 'name_asc':
+                $orderBy = "p.name ASC";
+                break;
+            case 'name_desc':
+                $orderBy = "p.name DESC";
+                break;
+        }
+        
+        $sql = "SELECT p.id, p.name, COALESCE(p.short_description, p.description) AS description,
+                       p.price, p.compare_price, p.image,
+                       (SELECT AVG(r.rating) FROM product_reviews r
+                        WHERE r.product_id = p.id AND r.status = 'approved') AS rating
+                FROM products p
+                WHERE {$where['sql']}
+                ORDER BY {$orderBy}, p.id ASC
+                LIMIT :limit OFFSET :offset";
+        
+        $products = $this->db->fetchAll($sql, array_merge($where['params'], [
+            'limit' => $limit,
+            'offset' => ($page - 1) * $limit
+        ]));
+        
+        $total = (int) $this->db->fetchColumn("SELECT COUNT(*) FROM products p WHERE {$where['sql']}", $where['params']);
+        
+        return [
+            'products' => array_map(function ($product) {
+                return [
+                    'id' => (int) $product['id'],
+                    'name' => $product['name'],
+                    'description' => $product['description'] ?? '',
+                    'price' => $product['price'],
+                    'compare_price' => $product['compare_price'],
+                    'image' => $product['image'],
+                    'rating' => $product['rating'] !== null ? round((float) $product['rating'], 1) : null
+                ];
+            }, $products),
+            'total' => $total,
+            'page' => $page,
+            'pages' => (int) ceil($total / $limit)
+        ];
+    }
+    
+    /**
+     * Count the listing's products per filter value
+     * 
+     * Each facet ignores its own filter, so the counts say how many products
+     * a value would match if it were selected too.
+     * 
+     * @param array $filters Listing filters (see getListing())
+     * @return array Counts keyed by filter name, then by value
+     */
+    public function getFacets($filters = [])
+    {
+        $facets = [];
+        
+        foreach (['category' => 'p.category_id', 'brand' => 'p.brand'] as $name => $column) {
+            $where = $this->listingWhere($filters, $name);
+            $rows = $this->db->fetchAll("SELECT {$column} AS value, COUNT(*) AS count
+                                         FROM products p
+                                         WHERE {$where['sql']} AND {$column} IS NOT NULL
+                                         GROUP BY {$column}", $where['params']);
+            
+            $facets[$name] = [];
+            foreach ($rows as $row) {
+                $facets[$name][$row['value']] = (int) $row['count'];
+            }
+        }
+        
+        return $facets;
+    }
+    
+    /**
+     * Build the WHERE clause of the storefront listing
+     * 
+     * @param array $filters Listing filters (see getListing())
+     * @param string|null $except Filter left out (for facet counts)
+     * @return array ['sql' => string, 'params' => array]
+     */
+    private function listingWhere($filters, $except = null)
+    {
+        // Variants are reached through their parent product
+        $sql = "p.status = :status AND p.parent_id IS NULL";
+        $params = ['status' => STATUS_ACTIVE];
+        
+        foreach (['category' => 'p.category_id', 'brand' => 'p.brand'] as $name => $column) {
+            if ($name === $except || empty($filters[$name])) {
+                continue;
+            }
+            
+            $values = is_array($filters[$name]) ? $filters[$name] : explode(',', $filters[$name]);
+            $placeholders = [];
+            foreach (array_values(array_filter(array_map('trim', $values), 'strlen')) as $i => $value) {
+                $placeholders[] = ":{$name}_{$i}";
+                $params["{$name}_{$i}"] = $value;
+            }
+            if ($placeholders) {
+                $sql .= " AND {$column} IN (" . implode(', ', $placeholders) . ")";
+            }
+        }
+        
+        if (!empty($filters['search'])) {
+            // Native prepares do not take a placeholder twice
+            $sql .= " AND (p.name LIKE :search_name OR p.description LIKE :search_description)";
+            $params['search_name'] = $params['search_description'] = '%' . $filters['search'] . '%';
+        }
+        
+        if (isset($filters['min_price']) && is_numeric($filters['min_price'])) {
+            $sql .= " AND p.price >= :min_price";
+            $params['min_price'] = $filters['min_price'];
+        }
+        
+        if (isset($filters['max_price']) && is_numeric($filters['max_price'])) {
+            $sql .= " AND p.price <= :max_price";
+            $params['max_price'] = $filters['max_price'];
+        }
+        
+        return ['sql' => $sql, 'params' => $params];
+    }
+    
     /**
      * Update product
      * 
@@ -388,6 +530,318 @@ class Product
         ]);
     }
     
+    /**
+     * Get the active categories, in their menu order
+     * 
+     * @return array Categories with id, name and product_count (active products)
+     */
+    public function getCategories()
+    {
+        $sql = "SELECT c.id, c.name,
+                       (SELECT COUNT(*) FROM products p
+                        WHERE p.category_id = c.id AND p.status = :product_status AND p.parent_id IS NULL) AS product_count
+                FROM categories c
+                WHERE c.status = :status
+                ORDER BY c.sort_order ASC, c.name ASC";
+        
+        return array_map(function ($category) {
+            return [
+                'id' => (int) $category['id'],
+                'name' => $category['name'],
+                'product_count' => (int) $category['product_count']
+            ];
+        }, $this->db->fetchAll($sql, ['status' => STATUS_ACTIVE, 'product_status' => STATUS_ACTIVE]));
+    }
+    
+    /**
+     * Get an active category by ID
+     * 
+     * @param int $categoryId Category ID
+     * @return array|false Category data or false if not found
+     */
+    public function getCategoryById($categoryId)
+    {
+        $sql = "SELECT * FROM categories WHERE id = :id AND status = :status";
+        
+        return $this->db->fetch($sql, [
+            'id' => $categoryId,
+            'status' => STATUS_ACTIVE
+        ]);
+    }
+    
+    /**
+     * Get an active product as the API describes it
+     * 
+     * `attributes` is the product's specifications, an object of names and
+     * values (empty when the product has none). `images` come from
+     * product_images, or from the product's own image when it has none, and
+     * `variants` are the active products whose parent_id is this product.
+     * 
+     * @param int $productId Product ID
+     * @return array|false Product with description, category_name, brand, attributes, rating, stock and ordering rules, images and variants, or false if not found
+     */
+    public function getDetails($productId)
+    {
+        $sql = "SELECT p.id, p.name, p.description, p.price, p.compare_price, p.image, p.brand, p.attributes,
+                       p.stock_quantity, p.manage_stock, p.allow_backorders,
+                       p.min_order_quantity, p.order_quantity_step, p.max_order_quantity,
+                       c.name AS category_name,
+                       (SELECT AVG(r.rating) FROM product_reviews r
+                        WHERE r.product_id = p.id AND r.status = 'approved') AS rating
+                FROM products p
+                LEFT JOIN categories c ON p.category_id = c.id
+                WHERE p.id = :id AND p.status = :status";
+        
+        $product = $this->db->fetch($sql, [
+            'id' => $productId,
+            'status' => STATUS_ACTIVE
+        ]);
+        
+        if (!$product) {
+            return false;
+        }
+        
+        $attributes = json_decode($product['attributes'] ?? '', true);
+        
+        $images = $this->getImages($productId);
+        if (!$images && $product['image']) {
+            $images = [[
+                'src' => $this->imageUrl($product['image']),
+                'full' => $this->imageUrl($product['image']),
+                'alt' => $product['name']
+            ]];
+        }
+        
+        return [
+            'id' => (int) $product['id'],
+            'name' => $product['name'],
+            'description' => $product['description'] ?? '',
+            'price' => $product['price'],
+            'compare_price' => $product['compare_price'],
+            'image' => $product['image'],
+            'rating' => $product['rating'] !== null ? round((float) $product['rating'], 1) : null,
+            'category_name' => $product['category_name'],
+            'brand' => $product['brand'],
+            // An object even when empty, so it is {} rather than [] in JSON
+            'attributes' => (object) (is_array($attributes) ? $attributes : []),
+            'images' => $images,
+            'variants' => $this->getVariants($productId)
+        ] + $this->stockRules($product);
+    }
+    
+    /**
+     * Get the images of a product, primary image first
+     * 
+     * @param int $productId Product ID
+     * @return array Images with src, full (the same URL: there are no separate thumbnails) and alt
+     */
+    public function getImages($productId)
+    {
+        $sql = "SELECT image_url, alt_text FROM product_images
+                WHERE product_id = :product_id
+                ORDER BY is_primary DESC, sort_order ASC, id ASC";
+        
+        return array_map(function ($image) {
+            return [
+                'src' => $this->imageUrl($image['image_url']),
+                'full' => $this->imageUrl($image['image_url']),
+                'alt' => $image['alt_text'] ?? ''
+            ];
+        }, $this->db->fetchAll($sql, ['product_id' => $productId]));
+    }
+    
+    /**
+     * Get the active variants of a product
+     * 
+     * @param int $productId Parent product ID
+     * @return array Variants with id, options (variant_options as an object), price, stock and ordering rules
+     */
+    public function getVariants($productId)
+    {
+        $sql = "SELECT id, variant_options, price, stock_quantity, manage_stock, allow_backorders,
+                       min_order_quantity, order_quantity_step, max_order_quantity
+                FROM products
+                WHERE parent_id = :parent_id AND status = :status
+                ORDER BY id ASC";
+        
+        $variants = $this->db->fetchAll($sql, [
+            'parent_id' => $productId,
+            'status' => STATUS_ACTIVE
+        ]);
+        
+        return array_map(function ($variant) {
+            $options = json_decode($variant['variant_options'] ?? '', true);
+            
+            return [
+                'id' => (int) $variant['id'],
+                'options' => (object) (is_array($options) ? $options : []),
+                'price' => $variant['price']
+            ] + $this->stockRules($variant);
+        }, $variants);
+    }
+    
+    /**
+     * Get the stock and ordering rules of an active product
+     * 
+     * @param int $productId Product ID
+     * @return array|false product_id and the rules (see stockRules()), or false if not found
+     */
+    public function getStockRules($productId)
+    {
+        $sql = "SELECT id, stock_quantity, manage_stock, allow_backorders,
+                       min_order_quantity, order_quantity_step, max_order_quantity
+                FROM products
+                WHERE id = :id AND status = :status";
+        
+        $product = $this->db->fetch($sql, [
+            'id' => $productId,
+            'status' => STATUS_ACTIVE
+        ]);
+        
+        if (!$product) {
+            return false;
+        }
+        
+        return ['product_id' => (int) $product['id']] + $this->stockRules($product);
+    }
+    
+    /**
+     * Largest quantity of a product that can be ordered up to $quantity
+     * 
+     * Quantities start at min_order_quantity, go up by order_quantity_step and
+     * stop at max_order_quantity and, unless the product is backordered or its
+     * stock is not managed, at the stock (as Stock.clamp() in public/js/core/stock.js).
+     * 
+     * @param array $rules Rules as returned by getStockRules()
+     * @param int $quantity Requested quantity
+     * @return int Quantity brought within the rules, 0 when none can be ordered
+     */
+    public function allowedQuantity($rules, $quantity)
+    {
+        $min = max(1, $rules['min_order_quantity']);
+        $step = max(1, $rules['order_quantity_step']);
+        
+        $limits = [];
+        if ($rules['max_order_quantity'] !== null) {
+            $limits[] = $rules['max_order_quantity'];
+        }
+        if ($rules['manage_stock'] && !$rules['allow_backorders'] && $rules['stock_quantity'] !== null) {
+            $limits[] = max(0, $rules['stock_quantity']);
+        }
+        $limit = $limits ? min($limits) : null;
+        
+        $value = $min + (int) ceil(max(0, $quantity - $min) / $step) * $step;
+        if ($limit !== null && $value > $limit) {
+            $value = $min + (int) floor(($limit - $min) / $step) * $step;
+        }
+        
+        return $limit !== null && ($value > $limit || $value < $min) ? 0 : $value;
+    }
+    
+    /**
+     * Stock and ordering rules of a products row as the API reports them
+     * 
+     * @param array $row Row with stock_quantity, manage_stock, allow_backorders and the order quantity columns
+     * @return array
+     */
+    private function stockRules($row)
+    {
+        return [
+            'stock_quantity' => $row['stock_quantity'] !== null ? (int) $row['stock_quantity'] : null,
+            'manage_stock' => (bool) ($row['manage_stock'] ?? true),
+            'allow_backorders' => (bool) ($row['allow_backorders'] ?? false),
+            'min_order_quantity' => max(1, (int) ($row['min_order_quantity'] ?? 1)),
+            'order_quantity_step' => max(1, (int) ($row['order_quantity_step'] ?? 1)),
+            // 0 or NULL: no limit
+            'max_order_quantity' => (int) $row['max_order_quantity'] > 0 ? (int) $row['max_order_quantity'] : null
+        ];
+    }
+    
+    /**
+     * URL of a product image: uploaded files are stored by name under
+     * public/images/products, while URLs and absolute paths are kept as is
+     * 
+     * @param string $image File name or URL
+     * @return string URL
+     */
+    private function imageUrl($image)
+    {
+        if (preg_match('~^(https?:)?//|^/~', $image)) {
+            return $image;
+        }
+        
+        return '/public/images/products/' . $image;
+    }
+    
+    /**
+     * Add a review of an active product
+     * 
+     * Reviews are held for moderation: only approved ones count in the rating.
+     * 
+     * @param int $productId Product ID
+     * @param int $userId Author's user ID
+     * @param array $review rating (1 to 5), title, review, name and email
+     * @return int|false Review ID, or false if the product is not found
+     */
+    public function addReview($productId, $userId, $review)
+    {
+        $sql = "SELECT COUNT(*) FROM products WHERE id = :id AND status = :status";
+        
+        $exists = (int) $this->db->fetchColumn($sql, [
+            'id' => $productId,
+            'status' => STATUS_ACTIVE
+        ]) > 0;
+        
+        if (!$exists) {
+            return false;
+        }
+        
+        return (int) $this->db->insert('product_reviews', [
+            'product_id' => $productId,
+            'user_id' => $userId,
+            'name' => $review['name'] ?? null,
+            'email' => $review['email'] ?? null,
+            'rating' => (int) $review['rating'],
+            'title' => $review['title'] ?? null,
+            'review' => $review['review'] ?? null,
+            'status' => 'pending',
+            'created_at' => date(DATETIME_FORMAT),
+            'updated_at' => date(DATETIME_FORMAT)
+        ]);
+    }
+    
+    /**
+     * Search suggestions: active products whose name contains the query
+     * 
+     * @param string $query Text typed by the visitor
+     * @param int $limit Number of suggestions
+     * @return array Products with id, name, price and image (a URL, or null)
+     */
+    public function autocomplete($query, $limit = 8)
+    {
+        $sql = "SELECT id, name, price, image
+                FROM products
+                WHERE name LIKE :query AND status = :status AND parent_id IS NULL
+                ORDER BY (name LIKE :prefix) DESC, name ASC
+                LIMIT :limit";
+        
+        $products = $this->db->fetchAll($sql, [
+            'query' => '%' . $query . '%',
+            'prefix' => $query . '%',
+            'status' => STATUS_ACTIVE,
+            'limit' => $limit
+        ]);
+        
+        return array_map(function ($product) {
+            return [
+                'id' => (int) $product['id'],
+                'name' => $product['name'],
+                'price' => $product['price'],
+                'image' => $product['image'] ? $this->imageUrl($product['image']) : null
+            ];
+        }, $products);
+    }
+    
     /**
      * Search products
      * 
@@ -461,6 +461,26 @@ class User
         $_SESSION['email'] = $user['email'];
         $_SESSION['role'] = $user['role'];
         $_SESSION['logged_in'] = true;
+
+        // Show the site in the language chosen in the user's profile
+        $language = $this->getProfileLanguage($user['id']);
+        if ($language) {
+            $_SESSION['locale'] = $language;
+        }
+    }
+    
+    /**
+     * Get the language chosen in a user's profile
+     * 
+     * @param int $userId User ID
+     * @return string|null Language code or null if the user has no profile
+     */
+    private function getProfileLanguage($userId)
+    {
+        $sql = "SELECT language FROM user_profiles WHERE user_id = :user_id";
+        $profile = $this->db->fetch($sql, ['user_id' => $userId]);
+        
+        return $profile['language'] ?? null;
     }
     
     /**
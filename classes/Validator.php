@@ -14,6 +14,12 @@
  * - File upload validation
  * - URL validation
  * - Custom validation rules
+ * 
+ * Username, password, email, name and phone rules come from
+ * config/validation-rules.json, which public/js/core/validation-rules.js
+ * reads too, so the browser reports the same errors as the server.
+ * tests/fixtures/validation-parity.json holds the cases both sides are
+ * tested against.
  */
 
 require_once __DIR__ . '/../config/constants.php';
@@ -22,6 +28,22 @@ class Validator
 {
     private $errors = [];
     
+    /**
+     * Rules loaded from VALIDATION_RULES_FILE, shared with the browser
+     * @var array|null
+     */
+    private static $rules = null;
+    
+    /**
+     * Characters JavaScript counts as whitespace (\s, trim()), as a PCRE class body
+     */
+    const JS_WHITESPACE = '\t\n\x{0B}\f\r \x{A0}\x{1680}\x{2000}-\x{200A}\x{2028}\x{2029}\x{202F}\x{205F}\x{3000}\x{FEFF}';
+    
+    /**
+     * Characters JavaScript's "." does not match, as a PCRE class body
+     */
+    const JS_LINE_TERMINATORS = '\n\r\x{2028}\x{2029}';
+    
     /**
      * Validate email address
      * 
@@ -30,22 +52,7 @@ class Validator
      */
     public function validateEmail($email)
     {
-        if (empty($email)) {
-            $this->addError('Email is required');
-            return false;
-        }
-        
-        if (strlen($email) > MAX_EMAIL_LENGTH) {
-            $this->addError('Email is too long');
-            return false;
-        }
-        
-        if (!filter_var($email, FILTER_VALIDATE_EMAIL)) {
-            $this->addError('Invalid email format');
-            return false;
-        }
-        
-        return true;
+        return $this->validateRule('email', $email);
     }
     
     /**
@@ -56,46 +63,7 @@ class Validator
      */
     public function validatePassword($password)
     {
-        if (empty($password)) {
-            $this->addError('Password is required');
-            return false;
-        }
-        
-        if (strlen($password) < MIN_PASSWORD_LENGTH) {
-            $this->addError('Password must be at least ' . MIN_PASSWORD_LENGTH . ' characters long');
-            return false;
-        }
-        
-        if (strlen($password) > MAX_PASSWORD_LENGTH) {
-            $this->addError('Password is too long');
-            return false;
-        }
-        
-        // Check for at least one uppercase letter
-        if (!preg_match('/[A-Z]/', $password)) {
-            $this->addError('Password must contain at least one uppercase letter');
-            return false;
-        }
-        
-        // Check for at least one lowercase letter
-        if (!preg_match('/[a-z]/', $password)) {
-            $this->addError('Password must contain at least one lowercase letter');
-            return false;
-        }
-        
-        // Check for at least one digit
-        if (!preg_match('/[0-9]/', $password)) {
-            $this->addError('Password must contain at least one number');
-            return false;
-        }
-        
-        // Check for at least one special character
-        if (!preg_match('/[^A-Za-z0-9]/', $password)) {
-            $this->addError('Password must contain at least one special character');
-            return false;
-        }
-        
-        return true;
+        return $this->validateRule('password', $password);
     }
     
     /**
@@ -106,85 +74,189 @@ class Validator
      */
     public function validateUsername($username)
     {
-        if (empty($username)) {
-            $this->addError('Username is required');
-            return false;
-        }
+        return $this->validateRule('username', $username);
+    }
+    
+    /**
+     * Validate name (first name, last name)
+     * 
+     * @param string $name Name to validate
+     * @return bool
+     */
+    public function validateName($name)
+    {
+        return $this->validateRule('name', $name);
+    }
+    
+    /**
+     * Validate phone number (optional field)
+     * 
+     * @param string $phone Phone number to validate
+     * @return bool
+     */
+    public function validatePhone($phone)
+    {
+        return $this->validateRule('phone', $phone);
+    }
+    
+    /**
+     * Validate a value against a rule of the shared rule manifest
+     * 
+     * @param string $rule Rule name in config/validation-rules.json
+     * @param string $value Value to validate
+     * @return bool
+     */
+    public function validateRule($rule, $value)
+    {
+        $error = self::checkRule($rule, $value);
         
-        if (strlen($username) < MIN_USERNAME_LENGTH) {
-            $this->addError('Username must be at least ' . MIN_USERNAME_LENGTH . ' characters long');
+        if ($error !== null) {
+            $this->addError($error);
             return false;
         }
         
-        if (strlen($username) > MAX_USERNAME_LENGTH) {
-            $this->addError('Username is too long');
-            return false;
+        return true;
+    }
+    
+    /**
+     * Check a value against a rule of the shared rule manifest
+     * 
+     * Checks run in order and stop at the first failure, exactly like the
+     * browser's FormValidator, so both report the same message.
+     * 
+     * @param string $rule Rule name
+     * @param string $value Value to check
+     * @return string|null Error message, or null when the value is valid
+     */
+    public static function checkRule($rule, $value)
+    {
+        $rules = self::getRules();
+        
+        if (!isset($rules[$rule])) {
+            throw new InvalidArgumentException('Unknown validation rule: ' . $rule);
         }
         
-        // Username should contain only letters, numbers, and underscores
-        if (!preg_match('/^[a-zA-Z0-9_]+$/', $username)) {
-            $this->addError('Username can only contain letters, numbers, and underscores');
-            return false;
+        $value = (string)$value;
+        
+        // Blank the way String.prototype.trim() sees it, not just ASCII whitespace
+        if (preg_match('~^[' . self::JS_WHITESPACE . ']*$~uD', $value) === 1) {
+            return $rules[$rule]['required'] ?? null;
         }
         
-        // Username should not start with a number
-        if (preg_match('/^[0-9]/', $username)) {
-            $this->addError('Username cannot start with a number');
-            return false;
+        foreach ($rules[$rule]['checks'] as $check) {
+            if (!self::passesCheck($check, $value)) {
+                return $check['message'];
+            }
         }
         
-        return true;
+        return null;
     }
     
     /**
-     * Validate name (first name, last name)
+     * Get the shared rule manifest
      * 
-     * @param string $name Name to validate
-     * @return bool
+     * @return array Rules keyed by name
      */
-    public function validateName($name)
+    public static function getRules()
     {
-        if (empty($name)) {
-            $this->addError('Name is required');
-            return false;
+        if (self::$rules === null) {
+            $json = file_get_contents(VALIDATION_RULES_FILE);
+            self::$rules = json_decode($json, true, 512, JSON_THROW_ON_ERROR);
         }
         
-        if (strlen($name) > MAX_NAME_LENGTH) {
-            $this->addError('Name is too long');
-            return false;
-        }
-        
-        // Name should contain only letters, spaces, and common punctuation
-        if (!preg_match('/^[a-zA-Z\s\-\'\.]+$/', $name)) {
-            $this->addError('Name contains invalid characters');
-            return false;
-        }
-        
-        return true;
+        return self::$rules;
     }
     
     /**
-     * Validate phone number
+     * Replace the rule manifest, e.g. with extra rules in tests
      * 
-     * @param string $phone Phone number to validate
+     * @param array $rules Rules keyed by name
+     */
+    public static function useRules(array $rules)
+    {
+        self::$rules = $rules;
+    }
+    
+    /**
+     * Run a single manifest check
+     * 
+     * Lengths count characters (not bytes) and patterns are matched in
+     * Unicode mode, which is how JavaScript evaluates them.
+     * 
+     * @param array $check Check definition
+     * @param string $value Value to check
      * @return bool
      */
-    public function validatePhone($phone)
+    private static function passesCheck($check, $value)
     {
-        if (empty($phone)) {
-            return true; // Phone is optional
+        switch ($check['type']) {
+            case 'minLength':
+                return mb_strlen($value, 'UTF-8') >= $check['value'];
+            case 'maxLength':
+                return mb_strlen($value, 'UTF-8') <= $check['value'];
+            case 'pattern':
+                return preg_match(self::toPcre($check['value']), $value) === 1;
+            case 'notPattern':
+                return preg_match(self::toPcre($check['value']), $value) !== 1;
+            case 'digits':
+                $digits = strlen(preg_replace('/[^0-9]/', '', $value));
+                return $digits >= $check['min'] && $digits <= $check['max'];
+            default:
+                throw new InvalidArgumentException('Unknown validation check: ' . $check['type']);
         }
-        
-        // Remove all non-digit characters for validation
-        $cleanPhone = preg_replace('/[^0-9]/', '', $phone);
-        
-        // Check if phone number has valid length (10-15 digits)
-        if (strlen($cleanPhone) < 10 || strlen($cleanPhone) > 15) {
-            $this->addError('Phone number must be between 10 and 15 digits');
-            return false;
+    }
+    
+    /**
+     * Turn a manifest pattern into a PCRE expression
+     * 
+     * Patterns are written for JavaScript's "u" mode. PCRE agrees on \d, \w
+     * and \b (ASCII in both), but not on \s and ".", so those are spelled
+     * out with JavaScript's character sets. "D" keeps "$" from matching
+     * before a trailing newline, as in JavaScript.
+     * 
+     * @param string $pattern Pattern without delimiters
+     * @return string
+     * @throws InvalidArgumentException For \S inside a character class
+     */
+    private static function toPcre($pattern)
+    {
+        $pcre = '';
+        $inClass = false;
+        $length = strlen($pattern);
+        
+        for ($i = 0; $i < $length; $i++) {
+            $char = $pattern[$i];
+            
+            if ($char === '\\' && $i + 1 < $length) {
+                $escaped = $pattern[++$i];
+                if ($escaped === 's') {
+                    $pcre .= $inClass ? self::JS_WHITESPACE : '[' . self::JS_WHITESPACE . ']';
+                } elseif ($escaped === 'S') {
+                    if ($inClass) {
+                        throw new InvalidArgumentException('\\S is not supported inside a character class: ' . $pattern);
+                    }
+                    $pcre .= '[^' . self::JS_WHITESPACE . ']';
+                } else {
+                    $pcre .= '\\' . $escaped;
+                }
+                continue;
+            }
+            
+            if ($char === '~') {
+                $pcre .= '\\~';
+            } elseif ($char === '.' && !$inClass) {
+                $pcre .= '[^' . self::JS_LINE_TERMINATORS . ']';
+            } else {
+                if ($char === '[' && !$inClass) {
+                    $inClass = true;
+                } elseif ($char === ']' && $inClass) {
+                    $inClass = false;
+                }
+                $pcre .= $char;
+            }
         }
         
-        return true;
+        return '~' . $pcre . '~uD';
     }
     
     /**
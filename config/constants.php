@@ -57,12 +57,9 @@ define('ALLOWED_MIME_TYPES', [
 ]);
 
 // Validation Rules
-define('MIN_PASSWORD_LENGTH', 8);
-define('MAX_PASSWORD_LENGTH', 255);
-define('MIN_USERNAME_LENGTH', 3);
-define('MAX_USERNAME_LENGTH', 50);
-define('MAX_EMAIL_LENGTH', 255);
-define('MAX_NAME_LENGTH', 100);
+// Field rules (lengths, patterns, messages) shared by classes/Validator.php and
+// the browser's FormValidator; read them with Validator::getRules().
+define('VALIDATION_RULES_FILE', __DIR__ . '/validation-rules.json');
 
 // Rate Limiting
 define('MAX_LOGIN_ATTEMPTS', 5);
@@ -98,6 +95,16 @@ define('ORDER_REFUNDED', 'refunded');
 // Currency
 define('DEFAULT_CURRENCY', 'USD');
 define('CURRENCY_SYMBOL', '$');
+// Exchange rates for the browser's currency switcher; prices are always stored
+// and charged in DEFAULT_CURRENCY
+define('CURRENCY_RATES_FILE', __DIR__ . '/currency-rates.json');
+
+// Localization
+// Message catalogs for the browser live in LANG_PATH/<language>.json; en.json
+// holds every key and the other catalogs override it.
+define('DEFAULT_LOCALE', 'en-US');
+define('LANG_PATH', __DIR__ . '/lang');
+define('RTL_LANGUAGES', ['ar', 'fa', 'he', 'ur']);
 
 // Date Formats
 define('DATE_FORMAT', 'Y-m-d');
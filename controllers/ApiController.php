@@ -0,0 +1,192 @@
+<?php
+/**
+ * API Controller Class
+ *
+ * JSON endpoints used by the storefront's scripts (see the API section of
+ * DOCUMENTATION.md). Every action answers with JSON; errors are
+ * {"success": false, "message": "..."} with the matching status code.
+ *
+ * Features:
+ * - Product details for the comparison view and the quick view
+ * - Stock and ordering rules for the cart
+ * - Search suggestions
+ * - Category list
+ * - Product reviews
+ */
+
+require_once 'BaseController.php';
+require_once __DIR__ . '/../classes/Product.php';
+
+class ApiController extends BaseController
+{
+    /**
+     * Longest review title, the size of product_reviews.title
+     */
+    const REVIEW_TITLE_LENGTH = 255;
+    
+    /**
+     * Longest review text
+     */
+    const REVIEW_LENGTH = 5000;
+    
+    private $productModel;
+    
+    /**
+     * Initialize the controller
+     */
+    protected function init()
+    {
+        $this->productModel = new Product();
+    }
+    
+    /**
+     * Product details
+     * Route: GET /api/products/{id}
+     */
+    public function product($id)
+    {
+        try {
+            $product = $this->productModel->getDetails($id);
+            
+            if (!$product) {
+                $this->jsonResponse(['success' => false, 'message' => 'Product not found'], 404);
+                return;
+            }
+            
+            $this->jsonResponse($product);
+            
+        } catch (Exception $e) {
+            error_log("API product error: " . $e->getMessage());
+            $this->jsonResponse(['success' => false, 'message' => 'Error loading product'], 500);
+        }
+    }
+    
+    /**
+     * Stock and ordering rules of a product
+     * Route: GET /api/products/{id}/stock
+     */
+    public function productStock($id)
+    {
+        try {
+            $rules = $this->productModel->getStockRules($id);
+            
+            if (!$rules) {
+                $this->jsonResponse(['success' => false, 'message' => 'Product not found'], 404);
+                return;
+            }
+            
+            $this->jsonResponse($rules);
+            
+        } catch (Exception $e) {
+            error_log("API stock error: " . $e->getMessage());
+            $this->jsonResponse(['success' => false, 'message' => 'Error loading stock'], 500);
+        }
+    }
+    
+    /**
+     * Search suggestions
+     * Route: GET /api/products/autocomplete?q=&limit=
+     */
+    public function productAutocomplete()
+    {
+        $query = trim($_GET['q'] ?? '');
+        $limit = min(20, max(1, (int) ($_GET['limit'] ?? 8)));
+        
+        if ($query === '') {
+            $this->jsonResponse([]);
+            return;
+        }
+        
+        try {
+            $this->jsonResponse($this->productModel->autocomplete($query, $limit));
+            
+        } catch (Exception $e) {
+            error_log("API autocomplete error: " . $e->getMessage());
+            $this->jsonResponse(['success' => false, 'message' => 'Search failed'], 500);
+        }
+    }
+    
+    /**
+     * All active categories with their number of products
+     * Route: GET /api/categories
+     */
+    public function categories()
+    {
+        try {
+            $this->jsonResponse($this->productModel->getCategories());
+            
+        } catch (Exception $e) {
+            error_log("API categories error: " . $e->getMessage());
+            $this->jsonResponse(['success' => false, 'message' => 'Error loading categories'], 500);
+        }
+    }
+    
+    /**
+     * Submit a review of a product (AJAX)
+     * Route: POST /api/reviews
+     * 
+     * Takes product_id, rating (1 to 5) and an optional title and review.
+     * Field errors answer 422 with {"errors": {"field": "message"}}.
+     */
+    public function submitReview()
+    {
+        if (!$this->isAjax() || $this->getRequestMethod() !== 'POST') {
+            $this->jsonResponse(['success' => false, 'message' => 'Invalid request'], 400);
+            return;
+        }
+        
+        if (!$this->isAuthenticated()) {
+            $this->jsonResponse(['success' => false, 'message' => 'Login required'], 401);
+            return;
+        }
+        
+        $productId = filter_var($_POST['product_id'] ?? null, FILTER_VALIDATE_INT, ['options' => ['min_range' => 1]]);
+        if ($productId === false) {
+            $this->jsonResponse(['success' => false, 'message' => 'Product ID is required'], 400);
+            return;
+        }
+        
+        $review = [
+            'rating' => filter_var($_POST['rating'] ?? null, FILTER_VALIDATE_INT, ['options' => ['min_range' => 1, 'max_range' => 5]]),
+            'title' => trim($_POST['title'] ?? ''),
+            'review' => trim($_POST['review'] ?? '')
+        ];
+        
+        $errors = [];
+        if ($review['rating'] === false) {
+            $errors['rating'] = 'Choose a rating from 1 to 5';
+        }
+        if (mb_strlen($review['title']) > self::REVIEW_TITLE_LENGTH) {
+            $errors['title'] = 'The title must be at most ' . self::REVIEW_TITLE_LENGTH . ' characters long';
+        }
+        if (mb_strlen($review['review']) > self::REVIEW_LENGTH) {
+            $errors['review'] = 'The review must be at most ' . self::REVIEW_LENGTH . ' characters long';
+        }
+        if ($errors) {
+            $this->jsonResponse(['success' => false, 'message' => 'Please fix the errors below', 'errors' => $errors], 422);
+            return;
+        }
+        
+        try {
+            $reviewId = $this->productModel->addReview($productId, $_SESSION['user_id'], $review + [
+                'name' => $_SESSION['user_name'] ?? null,
+                'email' => $_SESSION['user_email'] ?? null
+            ]);
+            
+            if (!$reviewId) {
+                $this->jsonResponse(['success' => false, 'message' => 'Product not found'], 404);
+                return;
+            }
+            
+            $this->jsonResponse([
+                'success' => true,
+                'message' => 'Thank you! Your review will appear once it is approved.',
+                'review_id' => $reviewId
+            ]);
+            
+        } catch (Exception $e) {
+            error_log("API review error: " . $e->getMessage());
+            $this->jsonResponse(['success' => false, 'message' => 'Error saving review'], 500);
+        }
+    }
+}
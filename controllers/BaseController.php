@@ -78,6 +78,20 @@ abstract class BaseController
         }
     }
     
+    /**
+     * Render a view without layout and return its HTML
+     * 
+     * @param string $view View file name
+     * @param array $data Data to pass to view
+     * @return string
+     */
+    protected function renderPartial($view, $data = [])
+    {
+        ob_start();
+        $this->render($view, $data, 'none');
+        return ob_get_clean();
+    }
+    
     /**
      * Redirect to a URL
      * 
@@ -0,0 +1,176 @@
+<?php
+/**
+ * Cart Controller Class
+ *
+ * Handles the shopping cart of the Alibaba Clone application. The browser
+ * keeps the cart in localStorage; for logged-in users every change is also
+ * sent here and stored in the cart_items table (see ShoppingCart in
+ * public/js/components/cart.js).
+ *
+ * Every AJAX action answers with the full cart:
+ * {"success": true, "items": [{product_id, quantity, price, name, image, created_at}]}
+ */
+
+require_once 'BaseController.php';
+require_once __DIR__ . '/../classes/Cart.php';
+
+class CartController extends BaseController
+{
+    private $cartModel;
+
+    /**
+     * Initialize the controller
+     */
+    protected function init()
+    {
+        $this->cartModel = new Cart();
+    }
+
+    /**
+     * Show the cart, or return it as JSON for AJAX requests
+     * Route: GET /cart
+     */
+    public function index()
+    {
+        if (!$this->isAjax()) {
+            // The page lists the browser's cart, which is the only cart guests have
+            $this->render('cart/index', [
+                'pageTitle' => 'Shopping Cart - Alibaba Clone'
+            ]);
+            return;
+        }
+
+        if ($this->checkRequest()) {
+            $this->respondWithCart();
+        }
+    }
+
+    /**
+     * Add a product to the cart (AJAX)
+     * Route: POST /cart/add
+     */
+    public function add()
+    {
+        $this->change(function ($userId, $productId, $quantity) {
+            return $this->cartModel->add($userId, $productId, $quantity);
+        }, 1);
+    }
+
+    /**
+     * Set the quantity of a cart item (AJAX)
+     * Route: POST /cart/update
+     */
+    public function update()
+    {
+        $this->change(function ($userId, $productId, $quantity) {
+            return $this->cartModel->setQuantity($userId, $productId, $quantity);
+        }, 0);
+    }
+
+    /**
+     * Remove a product from the cart (AJAX)
+     * Route: POST /cart/remove
+     */
+    public function remove()
+    {
+        $this->change(function ($userId, $productId) {
+            $this->cartModel->remove($userId, $productId);
+            return true;
+        });
+    }
+
+    /**
+     * Empty the cart (AJAX)
+     * Route: POST /cart/clear
+     */
+    public function clear()
+    {
+        if (!$this->checkRequest()) {
+            return;
+        }
+
+        try {
+            $this->cartModel->clear($_SESSION['user_id']);
+            $this->respondWithCart();
+        } catch (Exception $e) {
+            error_log("Cart clear error: " . $e->getMessage());
+            $this->jsonResponse(['success' => false, 'message' => 'Error updating cart'], 500);
+        }
+    }
+
+    /**
+     * Apply a change to one cart item and respond with the cart
+     *
+     * @param callable $apply function ($userId, $productId, $quantity) returning false when the product cannot be bought
+     * @param int|null $minQuantity Smallest accepted quantity, null when the action takes none
+     */
+    private function change(callable $apply, $minQuantity = null)
+    {
+        if (!$this->checkRequest()) {
+            return;
+        }
+
+        $productId = filter_var($_POST['product_id'] ?? null, FILTER_VALIDATE_INT, ['options' => ['min_range' => 1]]);
+        if ($productId === false) {
+            $this->jsonResponse(['success' => false, 'message' => 'Product ID is required'], 400);
+            return;
+        }
+
+        $quantity = null;
+        if ($minQuantity !== null) {
+            $quantity = filter_var($_POST['quantity'] ?? null, FILTER_VALIDATE_INT, ['options' => ['min_range' => $minQuantity]]);
+            if ($quantity === false) {
+                $this->jsonResponse(['success' => false, 'message' => 'Invalid quantity'], 400);
+                return;
+            }
+        }
+
+        try {
+            if (!$apply($_SESSION['user_id'], $productId, $quantity)) {
+                $this->jsonResponse(['success' => false, 'message' => 'Product not available'], 422);
+                return;
+            }
+            $this->respondWithCart();
+        } catch (Exception $e) {
+            error_log("Cart update error: " . $e->getMessage());
+            $this->jsonResponse(['success' => false, 'message' => 'Error updating cart'], 500);
+        }
+    }
+
+    /**
+     * Check that the request is an AJAX request from a logged-in user;
+     * responds with an error otherwise
+     *
+     * @return bool
+     */
+    private function checkRequest()
+    {
+        if (!$this->isAjax()) {
+            $this->jsonResponse(['success' => false, 'message' => 'Invalid request'], 400);
+            return false;
+        }
+
+        if (!$this->isAuthenticated()) {
+            $this->jsonResponse(['success' => false, 'message' => 'Login required'], 401);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Respond with the current user's cart
+     */
+    private function respondWithCart()
+    {
+        try {
+            $this->jsonResponse([
+                'success' => true,
+                'items' => $this->cartModel->getItems($_SESSION['user_id'])
+            ]);
+        } catch (Exception $e) {
+            error_log("Cart load error: " . $e->getMessage());
+            $this->jsonResponse(['success' => false, 'message' => 'Error loading cart'], 500);
+        }
+    }
+}
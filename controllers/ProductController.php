@@ -20,6 +20,11 @@ require_once __DIR__ . '/../classes/Product.php';
 
 class ProductController extends BaseController
 {
+    /**
+     * Products per page of the storefront listings
+     */
+    const LISTING_LIMIT = 20;
+    
     private $productModel;
     
     /**
@@ -36,46 +41,16 @@ class ProductController extends BaseController
      */
     public function index()
     {
+        if ($this->wantsJson()) {
+            $this->listingResponse($this->listingFilters());
+            return;
+        }
+        
         try {
-            $page = $_GET['page'] ?? 1;
-            $category = $_GET['category'] ?? null;
-            $search = $_GET['search'] ?? null;
-            $sortBy = $_GET['sort'] ?? 'name';
-            $order = $_GET['order'] ?? 'ASC';
-            $limit = 20;
-            
-            // Get products with pagination
-            $products = $this->productModel->getProducts([
-                'page' => $page,
-                'limit' => $limit,
-                'category' => $category,
-                'search' => $search,
-                'sort_by' => $sortBy,
-                'order' => $order
-            ]);
-            
-            // Get categories for filter
-            $categories = $this->productModel->getCategories();
-            
-            // Get total count for pagination
-            $totalProducts = $this->productModel->getTotalProducts([
-                'category' => $category,
-                'search' => $search
-            ]);
-            
-            $totalPages = ceil($totalProducts / $limit);
-            
-            $this->render('products/index', [
-                'products' => $products,
-                'categories' => $categories,
-                'currentPage' => $page,
-                'totalPages' => $totalPages,
-                'currentCategory' => $category,
-                'currentSearch' => $search,
-                'currentSort' => $sortBy,
-                'currentOrder' => $order,
+            $this->render('products/index', array_merge($this->listingData($this->listingFilters()), [
+                'category' => null,
                 'pageTitle' => 'Products - Alibaba Clone'
-            ]);
+            ]));
             
         } catch (Exception $e) {
             error_log("Product listing error: " . $e->getMessage());
@@ -177,30 +152,17 @@ class ProductController extends BaseController
                 return;
             }
             
-            $page = $_GET['page'] ?? 1;
-            $sortBy = $_GET['sort'] ?? 'name';
-            $order = $_GET['order'] ?? 'ASC';
-            $limit = 20;
-            
-            $products = $this->productModel->getProductsByCategory($categoryId, [
-                'page' => $page,
-                'limit' => $limit,
-                'sort_by' => $sortBy,
-                'order' => $order
-            ]);
+            $filters = array_merge($this->listingFilters(), ['category' => [$category['id']]]);
             
-            $totalProducts = $this->productModel->getTotalProductsByCategory($categoryId);
-            $totalPages = ceil($totalProducts / $limit);
+            if ($this->wantsJson()) {
+                $this->listingResponse($filters);
+                return;
+            }
             
-            $this->render('products/category', [
+            $this->render('products/index', array_merge($this->listingData($filters), [
                 'category' => $category,
-                'products' => $products,
-                'currentPage' => $page,
-                'totalPages' => $totalPages,
-                'currentSort' => $sortBy,
-                'currentOrder' => $order,
                 'pageTitle' => $category['name'] . ' - Alibaba Clone'
-            ]);
+            ]));
             
         } catch (Exception $e) {
             error_log("Category products error: " . $e->getMessage());
@@ -208,6 +170,79 @@ class ProductController extends BaseController
         }
     }
     
+    /**
+     * Whether the listing is asked for as JSON (?format=json)
+     * 
+     * @return bool
+     */
+    private function wantsJson()
+    {
+        return ($_GET['format'] ?? '') === 'json';
+    }
+    
+    /**
+     * Listing filters from the query string, as the filter sidebar sends them
+     * (multi-value facets are comma-separated: ?category=3,7&brand=acme)
+     * 
+     * @return array Filters for Product::getListing()
+     */
+    private function listingFilters()
+    {
+        return [
+            'category' => $_GET['category'] ?? null,
+            'brand' => $_GET['brand'] ?? null,
+            'min_price' => $_GET['min_price'] ?? null,
+            'max_price' => $_GET['max_price'] ?? null,
+            'search' => $_GET['search'] ?? null,
+            'sort' => $_GET['sort'] ?? null
+        ];
+    }
+    
+    /**
+     * Page of the listing as the listing view shows it
+     * 
+     * @param array $filters Listing filters
+     * @return array listing (see Product::getListing()), facets, categories and filters
+     */
+    private function listingData($filters)
+    {
+        $page = max(1, (int) ($_GET['page'] ?? 1));
+        
+        return [
+            'listing' => $this->productModel->getListing($filters, $page, self::LISTING_LIMIT),
+            'facets' => $this->productModel->getFacets($filters),
+            'categories' => $this->productModel->getCategories(),
+            'filters' => $filters
+        ];
+    }
+    
+    /**
+     * Respond with a page of the listing as JSON:
+     * {html, products, total, page, pages, facets: {name: {value: count}}}
+     * 
+     * @param array $filters Listing filters
+     */
+    private function listingResponse($filters)
+    {
+        $page = max(1, (int) ($_GET['page'] ?? 1));
+        
+        try {
+            $listing = $this->productModel->getListing($filters, $page, self::LISTING_LIMIT);
+            
+            $this->jsonResponse([
+                'html' => $listing['products'] ? $this->renderPartial('products/cards', ['products' => $listing['products']]) : '',
+                'products' => $listing['products'],
+                'total' => $listing['total'],
+                'page' => $listing['page'],
+                'pages' => $listing['pages'],
+                'facets' => $this->productModel->getFacets($filters)
+            ]);
+        } catch (Exception $e) {
+            error_log("Product listing error: " . $e->getMessage());
+            $this->jsonResponse(['success' => false, 'message' => 'Error loading products'], 500);
+        }
+    }
+    
     // ======================
     // ADMIN METHODS
     // ======================
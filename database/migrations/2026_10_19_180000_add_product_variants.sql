@@ -0,0 +1,20 @@
+-- Migration: 2026_10_19_180000_add_product_variants.sql
+--
+-- A variant is a product of its own, whose id goes into the cart. parent_id
+-- points at the product it is a variant of, and variant_options names what
+-- sets it apart, e.g. {"Color": "Red", "Size": "42"}. Variants are not listed
+-- in the catalog; GET /api/products/{id} returns them with their parent.
+
+-- UP
+ALTER TABLE products
+    ADD COLUMN parent_id INT NULL AFTER id,
+    ADD COLUMN variant_options JSON NULL AFTER attributes,
+    ADD CONSTRAINT fk_products_parent FOREIGN KEY (parent_id) REFERENCES products(id) ON DELETE CASCADE,
+    ADD INDEX idx_parent_id (parent_id);
+
+-- DOWN
+ALTER TABLE products
+    DROP FOREIGN KEY fk_products_parent,
+    DROP INDEX idx_parent_id,
+    DROP COLUMN variant_options,
+    DROP COLUMN parent_id;
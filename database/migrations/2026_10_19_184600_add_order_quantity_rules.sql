@@ -0,0 +1,18 @@
+-- Migration: 2026_10_19_184600_add_order_quantity_rules.sql
+--
+-- How a product is ordered: quantities start at min_order_quantity, go up by
+-- order_quantity_step and stop at max_order_quantity (NULL for no limit).
+-- GET /api/products/{id}/stock reports them with the stock, and the cart
+-- keeps quantities within them.
+
+-- UP
+ALTER TABLE products
+    ADD COLUMN min_order_quantity INT DEFAULT 1 AFTER allow_backorders,
+    ADD COLUMN order_quantity_step INT DEFAULT 1 AFTER min_order_quantity,
+    ADD COLUMN max_order_quantity INT NULL AFTER order_quantity_step;
+
+-- DOWN
+ALTER TABLE products
+    DROP COLUMN max_order_quantity,
+    DROP COLUMN order_quantity_step,
+    DROP COLUMN min_order_quantity;
@@ -117,6 +117,7 @@ CREATE TABLE categories (
 -- Products table
 CREATE TABLE products (
     id INT PRIMARY KEY AUTO_INCREMENT,
+    parent_id INT,
     name VARCHAR(255) NOT NULL,
     slug VARCHAR(255) UNIQUE NOT NULL,
     description TEXT,
@@ -135,17 +136,23 @@ CREATE TABLE products (
     stock_status ENUM('in_stock', 'out_of_stock', 'on_backorder') DEFAULT 'in_stock',
     manage_stock BOOLEAN DEFAULT TRUE,
     allow_backorders BOOLEAN DEFAULT FALSE,
+    min_order_quantity INT DEFAULT 1,
+    order_quantity_step INT DEFAULT 1,
+    max_order_quantity INT,
     featured BOOLEAN DEFAULT FALSE,
     status ENUM('active', 'inactive', 'draft') DEFAULT 'active',
     meta_title VARCHAR(255),
     meta_description TEXT,
     tags JSON,
     attributes JSON,
+    variant_options JSON,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
     FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE SET NULL,
+    FOREIGN KEY (parent_id) REFERENCES products(id) ON DELETE CASCADE,
     INDEX idx_category_id (category_id),
+    INDEX idx_parent_id (parent_id),
     INDEX idx_sku (sku),
     INDEX idx_slug (slug),
     INDEX idx_status (status),
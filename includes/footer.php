@@ -21,7 +21,7 @@
             <div class="col-lg-4 col-md-6 mb-4">
                 <h5 class="mb-3">
                     <i class="fas fa-store me-2"></i>
-                    <?php echo sanitizeOutput($siteName); ?>
+                    <?php echo sanitizeOutput($siteName ?? APP_NAME); ?>
                 </h5>
                 <p class="text-muted">
                     A professional PHP and MySQL web application built with modern practices, 
@@ -51,27 +51,27 @@
                 <h6 class="mb-3">Quick Links</h6>
                 <ul class="list-unstyled">
                     <li class="mb-2">
-                        <a href="index.php" class="text-muted text-decoration-none">
+                        <a href="/" class="text-muted text-decoration-none">
                             <i class="fas fa-home me-2"></i>Home
                         </a>
                     </li>
                     <li class="mb-2">
-                        <a href="index.php?page=products" class="text-muted text-decoration-none">
+                        <a href="/products" class="text-muted text-decoration-none">
                             <i class="fas fa-boxes me-2"></i>Products
                         </a>
                     </li>
                     <li class="mb-2">
-                        <a href="index.php?page=about" class="text-muted text-decoration-none">
+                        <a href="/about" class="text-muted text-decoration-none">
                             <i class="fas fa-info-circle me-2"></i>About Us
                         </a>
                     </li>
                     <li class="mb-2">
-                        <a href="index.php?page=contact" class="text-muted text-decoration-none">
+                        <a href="/contact" class="text-muted text-decoration-none">
                             <i class="fas fa-envelope me-2"></i>Contact
                         </a>
                     </li>
                     <li class="mb-2">
-                        <a href="index.php?page=faq" class="text-muted text-decoration-none">
+                        <a href="/faq" class="text-muted text-decoration-none">
                             <i class="fas fa-question-circle me-2"></i>FAQ
                         </a>
                     </li>
@@ -84,39 +84,39 @@
                 <ul class="list-unstyled">
                     <?php if (User::isLoggedIn()): ?>
                         <li class="mb-2">
-                            <a href="index.php?page=profile" class="text-muted text-decoration-none">
+                            <a href="/profile" class="text-muted text-decoration-none">
                                 <i class="fas fa-user me-2"></i>My Account
                             </a>
                         </li>
                         <li class="mb-2">
-                            <a href="index.php?page=orders" class="text-muted text-decoration-none">
+                            <a href="/orders" class="text-muted text-decoration-none">
                                 <i class="fas fa-shopping-bag me-2"></i>My Orders
                             </a>
                         </li>
                     <?php else: ?>
                         <li class="mb-2">
-                            <a href="index.php?page=login" class="text-muted text-decoration-none">
+                            <a href="/login" class="text-muted text-decoration-none">
                                 <i class="fas fa-sign-in-alt me-2"></i>Login
                             </a>
                         </li>
                         <li class="mb-2">
-                            <a href="index.php?page=register" class="text-muted text-decoration-none">
+                            <a href="/register" class="text-muted text-decoration-none">
                                 <i class="fas fa-user-plus me-2"></i>Register
                             </a>
                         </li>
                     <?php endif; ?>
                     <li class="mb-2">
-                        <a href="index.php?page=shipping" class="text-muted text-decoration-none">
+                        <a href="/shipping" class="text-muted text-decoration-none">
                             <i class="fas fa-truck me-2"></i>Shipping Info
                         </a>
                     </li>
                     <li class="mb-2">
-                        <a href="index.php?page=returns" class="text-muted text-decoration-none">
+                        <a href="/returns" class="text-muted text-decoration-none">
                             <i class="fas fa-undo me-2"></i>Returns
                         </a>
                     </li>
                     <li class="mb-2">
-                        <a href="index.php?page=support" class="text-muted text-decoration-none">
+                        <a href="/support" class="text-muted text-decoration-none">
                             <i class="fas fa-headset me-2"></i>Support
                         </a>
                     </li>
@@ -165,25 +165,25 @@
         <div class="row align-items-center">
             <div class="col-md-6">
                 <p class="text-muted mb-0">
-                    &copy; <?php echo date('Y'); ?> <?php echo sanitizeOutput($siteName); ?>. All rights reserved.
+                    &copy; <?php echo date('Y'); ?> <?php echo sanitizeOutput($siteName ?? APP_NAME); ?>. All rights reserved.
                 </p>
             </div>
             <div class="col-md-6 text-md-end">
                 <ul class="list-inline mb-0">
                     <li class="list-inline-item">
-                        <a href="index.php?page=privacy" class="text-muted text-decoration-none">Privacy Policy</a>
+                        <a href="/privacy" class="text-muted text-decoration-none">Privacy Policy</a>
                     </li>
                     <li class="list-inline-item">
                         <span class="text-muted">|</span>
                     </li>
                     <li class="list-inline-item">
-                        <a href="index.php?page=terms" class="text-muted text-decoration-none">Terms of Service</a>
+                        <a href="/terms" class="text-muted text-decoration-none">Terms of Service</a>
                     </li>
                     <li class="list-inline-item">
                         <span class="text-muted">|</span>
                     </li>
                     <li class="list-inline-item">
-                        <a href="index.php?page=sitemap" class="text-muted text-decoration-none">Sitemap</a>
+                        <a href="/sitemap" class="text-muted text-decoration-none">Sitemap</a>
                     </li>
                 </ul>
             </div>
@@ -255,6 +255,156 @@ function csrfTokenField()
     return '<input type="hidden" name="' . CSRF_TOKEN_NAME . '" value="' . $token . '">';
 }
 
+/**
+ * Embed the shared validation rules for the browser's FormValidator
+ *
+ * @return string HTML script element holding the rule manifest as JSON
+ */
+function validationRulesScript()
+{
+    require_once __DIR__ . '/../classes/Validator.php';
+
+    $json = json_encode(Validator::getRules(), JSON_HEX_TAG | JSON_HEX_AMP | JSON_UNESCAPED_SLASHES);
+    return '<script type="application/json" id="validation-rules">' . $json . '</script>';
+}
+
+/**
+ * Localization Functions
+ */
+
+/**
+ * Get the locale of the current visitor
+ *
+ * @return string BCP 47 locale, e.g. "en-US"
+ */
+function currentLocale()
+{
+    return $_SESSION['locale'] ?? DEFAULT_LOCALE;
+}
+
+/**
+ * Get the store currency, in which prices are rendered and charged
+ *
+ * Buyers may view prices converted to another currency (see
+ * currencyRatesScript()), but orders are always charged in this one.
+ *
+ * @return string ISO 4217 currency code
+ */
+function currentCurrency()
+{
+    return DEFAULT_CURRENCY;
+}
+
+/**
+ * Get the language part of a locale
+ *
+ * @param string|null $locale Locale, defaults to the current one
+ * @return string Lower-case language code, e.g. "fr" for "fr-CA"
+ */
+function localeLanguage($locale = null)
+{
+    $parts = preg_split('/[-_]/', $locale ?? currentLocale());
+    return strtolower(preg_replace('/[^a-zA-Z]/', '', $parts[0]));
+}
+
+/**
+ * Get the text direction of a locale
+ *
+ * @param string|null $locale Locale, defaults to the current one
+ * @return string "rtl" or "ltr"
+ */
+function textDirection($locale = null)
+{
+    return in_array(localeLanguage($locale), RTL_LANGUAGES, true) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Load the browser message catalog of a locale
+ *
+ * Keys missing from the language's catalog fall back to English.
+ *
+ * @param string|null $locale Locale, defaults to the current one
+ * @return array Messages
+ */
+function loadMessages($locale = null)
+{
+    $read = function ($language) {
+        $file = LANG_PATH . '/' . $language . '.json';
+        $messages = is_file($file) ? json_decode(file_get_contents($file), true) : null;
+        return is_array($messages) ? $messages : [];
+    };
+
+    $messages = $read('en');
+    $language = localeLanguage($locale);
+    if ($language !== '' && $language !== 'en') {
+        $messages = array_replace_recursive($messages, $read($language));
+    }
+    return $messages;
+}
+
+/**
+ * Translate a message of the current locale's catalog
+ *
+ * The server-side counterpart of t() in public/js/core/i18n.js, reading
+ * the same config/lang catalogs: {name} placeholders are filled from
+ * $params, and a plural message picks "one" when $params['count'] is 1,
+ * "other" otherwise. Unknown keys are returned unchanged.
+ *
+ * @param string $key Dotted message key, e.g. "cart.title"
+ * @param array $params Placeholder values
+ * @return string Message (not HTML-escaped)
+ */
+function t($key, $params = [])
+{
+    static $messages = null;
+    if ($messages === null) {
+        $messages = loadMessages();
+    }
+
+    $message = $messages;
+    foreach (explode('.', $key) as $part) {
+        if (!is_array($message) || !array_key_exists($part, $message)) {
+            return $key;
+        }
+        $message = $message[$part];
+    }
+
+    if (is_array($message)) {
+        $count = $params['count'] ?? null;
+        $message = ($count !== null && abs($count) == 1 && isset($message['one'])) ? $message['one'] : ($message['other'] ?? $key);
+    }
+    if (!is_string($message)) {
+        return $key;
+    }
+
+    return preg_replace_callback('/\{(\w+)\}/', function ($match) use ($params) {
+        return array_key_exists($match[1], $params) ? (string) $params[$match[1]] : $match[0];
+    }, $message);
+}
+
+/**
+ * Embed the message catalog for the browser's i18n module
+ *
+ * @return string HTML script element holding the messages as JSON
+ */
+function i18nScript()
+{
+    $json = json_encode(loadMessages(), JSON_HEX_TAG | JSON_HEX_AMP | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+    return '<script type="application/json" id="i18n-messages">' . $json . '</script>';
+}
+
+/**
+ * Embed the exchange rates for the browser's currency switcher
+ *
+ * @return string HTML script element holding config/currency-rates.json
+ */
+function currencyRatesScript()
+{
+    $rates = is_file(CURRENCY_RATES_FILE) ? json_decode(file_get_contents(CURRENCY_RATES_FILE), true) : null;
+    $json = json_encode($rates ?: new stdClass(), JSON_HEX_TAG | JSON_HEX_AMP | JSON_UNESCAPED_SLASHES);
+    return '<script type="application/json" id="currency-rates">' . $json . '</script>';
+}
+
 /**
  * Sanitize output for HTML
  * 
@@ -13,6 +13,20 @@
  * - Cart icon with item count
  */
 
+require_once __DIR__ . '/../classes/Product.php';
+
+$siteName = $siteName ?? APP_NAME;
+
+// Section of the site being shown: the first segment of the request path
+$navSection = explode('/', trim(parse_url($_SERVER['REQUEST_URI'] ?? '/', PHP_URL_PATH), '/'))[0] ?: 'home';
+
+try {
+    $navCategories = (new Product())->getCategories();
+} catch (Exception $e) {
+    error_log("Navbar categories error: " . $e->getMessage());
+    $navCategories = [];
+}
+
 // Get cart item count (placeholder - implement cart functionality)
 $cartItemCount = 0;
 if (User::isLoggedIn()) {
@@ -24,7 +38,7 @@ if (User::isLoggedIn()) {
 <nav class="navbar navbar-expand-lg navbar-dark bg-primary sticky-top">
     <div class="container">
         <!-- Brand -->
-        <a class="navbar-brand fw-bold" href="index.php">
+        <a class="navbar-brand fw-bold" href="/">
             <i class="fas fa-store me-2"></i>
             <?php echo sanitizeOutput($siteName); ?>
         </a>
@@ -39,13 +53,13 @@ if (User::isLoggedIn()) {
             <!-- Left menu -->
             <ul class="navbar-nav me-auto">
                 <li class="nav-item">
-                    <a class="nav-link <?php echo $currentPage === 'home' ? 'active' : ''; ?>" href="index.php">
+                    <a class="nav-link <?php echo $navSection === 'home' ? 'active' : ''; ?>" href="/">
                         <i class="fas fa-home me-1"></i>
                         Home
                     </a>
                 </li>
                 <li class="nav-item">
-                    <a class="nav-link <?php echo $currentPage === 'products' ? 'active' : ''; ?>" href="index.php?page=products">
+                    <a class="nav-link <?php echo in_array($navSection, ['products', 'category', 'product'], true) ? 'active' : ''; ?>" href="/products">
                         <i class="fas fa-boxes me-1"></i>
                         Products
                     </a>
@@ -56,21 +70,19 @@ if (User::isLoggedIn()) {
                         Categories
                     </a>
                     <ul class="dropdown-menu">
-                        <li><a class="dropdown-item" href="index.php?page=products&category=electronics">Electronics</a></li>
-                        <li><a class="dropdown-item" href="index.php?page=products&category=clothing">Clothing</a></li>
-                        <li><a class="dropdown-item" href="index.php?page=products&category=books">Books</a></li>
-                        <li><a class="dropdown-item" href="index.php?page=products&category=home-garden">Home & Garden</a></li>
-                        <li><a class="dropdown-item" href="index.php?page=products&category=sports">Sports</a></li>
+                        <?php foreach ($navCategories as $navCategory): ?>
+                            <li><a class="dropdown-item" href="/category/<?php echo (int) $navCategory['id']; ?>"><?php echo sanitizeOutput($navCategory['name']); ?></a></li>
+                        <?php endforeach; ?>
                     </ul>
                 </li>
                 <li class="nav-item">
-                    <a class="nav-link <?php echo $currentPage === 'about' ? 'active' : ''; ?>" href="index.php?page=about">
+                    <a class="nav-link <?php echo $navSection === 'about' ? 'active' : ''; ?>" href="/about">
                         <i class="fas fa-info-circle me-1"></i>
                         About
                     </a>
                 </li>
                 <li class="nav-item">
-                    <a class="nav-link <?php echo $currentPage === 'contact' ? 'active' : ''; ?>" href="index.php?page=contact">
+                    <a class="nav-link <?php echo $navSection === 'contact' ? 'active' : ''; ?>" href="/contact">
                         <i class="fas fa-envelope me-1"></i>
                         Contact
                     </a>
@@ -78,21 +90,41 @@ if (User::isLoggedIn()) {
             </ul>
             
             <!-- Search form -->
-            <form class="d-flex me-3" method="GET" action="index.php">
-                <input type="hidden" name="page" value="products">
+            <form class="d-flex me-3 search-container" id="search-form" method="GET" action="/products" role="search">
                 <div class="input-group">
-                    <input class="form-control form-control-sm" type="search" name="search" placeholder="Search products..." value="<?php echo sanitizeOutput($_GET['search'] ?? ''); ?>">
-                    <button class="btn btn-outline-light btn-sm" type="submit">
+                    <input class="form-control form-control-sm" type="search" name="search" id="search-input" placeholder="Search products..." aria-label="Search products" value="<?php echo sanitizeOutput($_GET['search'] ?? ''); ?>">
+                    <button class="btn btn-outline-light btn-sm" type="submit" aria-label="Search">
                         <i class="fas fa-search"></i>
                     </button>
                 </div>
+                <div id="search-results" class="search-results" hidden></div>
             </form>
             
             <!-- Right menu -->
             <ul class="navbar-nav">
+                <!-- Display currency (options are filled in from the exchange rates) -->
+                <li class="nav-item d-flex align-items-center me-2">
+                    <select class="form-select form-select-sm currency-switcher" aria-label="<?php echo sanitizeOutput(t('currency.label')); ?>" hidden></select>
+                </li>
+                
+                <!-- Notification history (listed by notification-history.js) -->
+                <li class="nav-item notification-history">
+                    <button type="button" class="nav-link btn btn-link position-relative notification-history-toggle" aria-label="<?php echo sanitizeOutput(t('notifications.label')); ?>" aria-expanded="false" aria-controls="notification-history-panel">
+                        <i class="fas fa-bell" aria-hidden="true"></i>
+                        <span class="position-absolute top-0 start-100 translate-middle badge rounded-pill bg-danger notification-unread" hidden></span>
+                    </button>
+                    <div class="notification-history-panel" id="notification-history-panel" hidden>
+                        <div class="notification-history-header">
+                            <strong><?php echo sanitizeOutput(t('notifications.label')); ?></strong>
+                            <button type="button" class="btn btn-link btn-sm notification-history-clear"><?php echo sanitizeOutput(t('notifications.clear')); ?></button>
+                        </div>
+                        <ul class="notification-history-list"></ul>
+                    </div>
+                </li>
+                
                 <!-- Shopping cart -->
                 <li class="nav-item">
-                    <a class="nav-link position-relative <?php echo $currentPage === 'cart' ? 'active' : ''; ?>" href="index.php?page=cart">
+                    <a class="nav-link position-relative <?php echo $navSection === 'cart' ? 'active' : ''; ?>" href="/cart">
                         <i class="fas fa-shopping-cart"></i>
                         Cart
                         <?php if ($cartItemCount > 0): ?>
@@ -108,31 +140,31 @@ if (User::isLoggedIn()) {
                     <li class="nav-item dropdown">
                         <a class="nav-link dropdown-toggle" href="#" id="userDropdown" role="button" data-bs-toggle="dropdown">
                             <i class="fas fa-user me-1"></i>
-                            <?php echo sanitizeOutput($currentUser['first_name'] ?? 'User'); ?>
+                            <?php echo sanitizeOutput($_SESSION['user_name'] ?? 'User'); ?>
                         </a>
                         <ul class="dropdown-menu dropdown-menu-end">
                             <li>
-                                <a class="dropdown-item" href="index.php?page=profile">
+                                <a class="dropdown-item" href="/profile">
                                     <i class="fas fa-user-circle me-2"></i>
                                     My Profile
                                 </a>
                             </li>
                             <li>
-                                <a class="dropdown-item" href="index.php?page=orders">
+                                <a class="dropdown-item" href="/orders">
                                     <i class="fas fa-shopping-bag me-2"></i>
                                     My Orders
                                 </a>
                             </li>
                             <li>
-                                <a class="dropdown-item" href="index.php?page=wishlist">
+                                <a class="dropdown-item" href="/wishlist">
                                     <i class="fas fa-heart me-2"></i>
                                     Wishlist
                                 </a>
                             </li>
                             <li><hr class="dropdown-divider"></li>
-                            <?php if (User::hasRole(ROLE_ADMIN)): ?>
+                            <?php if (($_SESSION['user_role'] ?? null) === ROLE_ADMIN): ?>
                                 <li>
-                                    <a class="dropdown-item" href="index.php?page=admin">
+                                    <a class="dropdown-item" href="/admin">
                                         <i class="fas fa-cogs me-2"></i>
                                         Admin Panel
                                     </a>
@@ -140,7 +172,7 @@ if (User::isLoggedIn()) {
                                 <li><hr class="dropdown-divider"></li>
                             <?php endif; ?>
                             <li>
-                                <a class="dropdown-item text-danger" href="index.php?page=logout">
+                                <a class="dropdown-item text-danger" href="/logout">
                                     <i class="fas fa-sign-out-alt me-2"></i>
                                     Logout
                                 </a>
@@ -150,13 +182,13 @@ if (User::isLoggedIn()) {
                 <?php else: ?>
                     <!-- Login/Register for guests -->
                     <li class="nav-item">
-                        <a class="nav-link <?php echo $currentPage === 'login' ? 'active' : ''; ?>" href="index.php?page=login">
+                        <a class="nav-link <?php echo $navSection === 'login' ? 'active' : ''; ?>" href="/login">
                             <i class="fas fa-sign-in-alt me-1"></i>
                             Login
                         </a>
                     </li>
                     <li class="nav-item">
-                        <a class="nav-link <?php echo $currentPage === 'register' ? 'active' : ''; ?>" href="index.php?page=register">
+                        <a class="nav-link <?php echo $navSection === 'register' ? 'active' : ''; ?>" href="/register">
                             <i class="fas fa-user-plus me-1"></i>
                             Register
                         </a>
@@ -168,19 +200,19 @@ if (User::isLoggedIn()) {
 </nav>
 
 <!-- Breadcrumb (optional) -->
-<?php if ($currentPage !== 'home'): ?>
+<?php if ($navSection !== 'home'): ?>
 <div class="bg-light py-2">
     <div class="container">
         <nav aria-label="breadcrumb">
             <ol class="breadcrumb mb-0">
                 <li class="breadcrumb-item">
-                    <a href="index.php" class="text-decoration-none">
+                    <a href="/" class="text-decoration-none">
                         <i class="fas fa-home"></i> Home
                     </a>
                 </li>
                 <?php
                 // Generate breadcrumb based on current page
-                $breadcrumbs = getBreadcrumbs($currentPage);
+                $breadcrumbs = getBreadcrumbs($navSection);
                 foreach ($breadcrumbs as $index => $breadcrumb):
                     if ($index === count($breadcrumbs) - 1):
                 ?>
@@ -216,17 +248,17 @@ function getBreadcrumbs($page)
     
     switch ($page) {
         case 'products':
-            $breadcrumbs[] = ['title' => 'Products', 'url' => 'index.php?page=products'];
+            $breadcrumbs[] = ['title' => 'Products', 'url' => '/products'];
             break;
         case 'product':
-            $breadcrumbs[] = ['title' => 'Products', 'url' => 'index.php?page=products'];
+            $breadcrumbs[] = ['title' => 'Products', 'url' => '/products'];
             $breadcrumbs[] = ['title' => 'Product Details', 'url' => ''];
             break;
         case 'cart':
             $breadcrumbs[] = ['title' => 'Shopping Cart', 'url' => ''];
             break;
         case 'checkout':
-            $breadcrumbs[] = ['title' => 'Shopping Cart', 'url' => 'index.php?page=cart'];
+            $breadcrumbs[] = ['title' => 'Shopping Cart', 'url' => '/cart'];
             $breadcrumbs[] = ['title' => 'Checkout', 'url' => ''];
             break;
         case 'profile':
@@ -0,0 +1,81 @@
+/**
+ * AJAX form submission
+ *
+ * AjaxFormHandler is the single owner of form.ajax-form. The server answers with
+ * {success, message, redirect?, errors?}; field errors are shown under the inputs
+ * by the form's FormValidator.
+ */
+
+import { notify } from '../core/notifications.js';
+import { AjaxManager } from '../core/ajax.js';
+import { delegate } from '../core/dom.js';
+import { FormValidator } from './form-validator.js';
+import { t } from '../core/i18n.js';
+import { html, setHtml } from '../core/html.js';
+
+export class AjaxFormHandler {
+    constructor() {
+        this.listeners = [
+            delegate(document, 'submit', '.ajax-form', (e, form) => {
+                e.preventDefault();
+                this.submit(form);
+            })
+        ];
+    }
+
+    destroy() {
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+    }
+
+    async submit(form) {
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const originalText = submitBtn ? submitBtn.innerHTML : '';
+
+        // Show loading state
+        if (submitBtn) {
+            setHtml(submitBtn, html`<i class="fas fa-spinner fa-spin" aria-hidden="true"></i> ${t('app.processing')}`);
+            submitBtn.disabled = true;
+        }
+
+        const validator = FormValidator.for(form);
+        validator.clearErrors();
+
+        const url = form.getAttribute('action') || window.location.href;
+        const method = (form.getAttribute('method') || 'POST').toUpperCase();
+
+        try {
+            const response = method === 'GET'
+                ? await AjaxManager.get(url, Object.fromEntries(new FormData(form)))
+                : await AjaxManager.postForm(url, new FormData(form));
+
+            if (response.success) {
+                notify(response.message, 'success');
+
+                // Handle redirects
+                if (response.redirect) {
+                    setTimeout(() => {
+                        window.location.href = response.redirect;
+                    }, 1000);
+                } else {
+                    // Reset form if no redirect
+                    form.reset();
+                }
+            } else {
+                notify(response.message, 'error');
+                if (response.errors) {
+                    validator.showServerErrors(response.errors);
+                }
+            }
+        } catch (error) {
+            notify(error.data?.message || t('app.request_failed'), 'error');
+            validator.showServerErrors(error.errors || {});
+        } finally {
+            // Reset button
+            if (submitBtn) {
+                submitBtn.innerHTML = originalText;
+                submitBtn.disabled = false;
+            }
+        }
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * Cart page
+ *
+ * Element component "cart-list": lists the cart's items with a quantity
+ * stepper and a remove button each, and keeps the list in step with the cart.
+ * Rows are added, updated and removed one by one as the cart changes, so the
+ * stepper being used keeps its focus and its stock rules.
+ */
+
+import { events } from '../core/events.js';
+import { delegate } from '../core/dom.js';
+import { html, setHtml, appendHtml } from '../core/html.js';
+import { Currency } from '../core/currency.js';
+import { t } from '../core/i18n.js';
+
+export class CartList {
+    constructor(element, cart) {
+        this.element = element;
+        this.cart = cart;
+        this.list = null;
+
+        this.listeners = [
+            delegate(element, 'change', '.quantity-input', (e, input) => {
+                const productId = input.closest('.cart-item')?.dataset.productId;
+                const quantity = parseInt(input.value);
+                // The cart brings the quantity within the rules it is checking by itself
+                if (productId && cart.checking.has(productId)) return;
+                if (productId && !isNaN(quantity) && quantity !== cart.quantityOf(productId)) {
+                    cart.updateQuantity(productId, quantity);
+                }
+            }),
+            events.on('cart:changed', () => this.render())
+        ];
+
+        this.render();
+    }
+
+    destroy() {
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+    }
+
+    render() {
+        const items = this.cart.items;
+        if (items.length === 0) {
+            this.list = null;
+            setHtml(this.element, html`<p class="cart-empty text-muted">${t('cart.empty')}</p>`);
+            return;
+        }
+
+        if (!this.list || !this.element.contains(this.list)) {
+            setHtml(this.element, html`<ul class="cart-items list-unstyled mb-0"></ul>`);
+            this.list = this.element.querySelector('.cart-items');
+        }
+
+        const rows = new Map(Array.from(this.list.children, row => [row.dataset.productId, row]));
+        let previous = null;
+        items.forEach(item => {
+            let row = rows.get(item.productId);
+            rows.delete(item.productId);
+
+            if (row) {
+                this.update(row, item);
+                const inPlace = previous ? previous.nextElementSibling === row : this.list.firstElementChild === row;
+                if (!inPlace) {
+                    previous ? previous.after(row) : this.list.prepend(row);
+                }
+            } else if (previous) {
+                appendHtml(previous, this.row(item), 'afterend');
+                row = previous.nextElementSibling;
+            } else {
+                appendHtml(this.list, this.row(item), 'afterbegin');
+                row = this.list.firstElementChild;
+            }
+            previous = row;
+        });
+
+        // Left over: items no longer in the cart
+        rows.forEach(row => row.remove());
+    }
+
+    row(item) {
+        const url = `/product/${encodeURIComponent(item.productId)}`;
+        return html`
+            <li class="cart-item d-flex align-items-center gap-3" data-product-id="${item.productId}">
+                <a href="${url}" class="cart-item-image">
+                    ${item.image && html`<img src="${item.image}" alt="" width="64" height="64">`}
+                </a>
+                <div class="flex-grow-1">
+                    <a href="${url}" class="cart-item-name">${item.name || t('cart.unnamed')}</a>
+                    <div class="text-muted small">${this.price(item.price)}</div>
+                </div>
+                <div class="quantity-controls input-group cart-item-quantity" data-product-id="${item.productId}">
+                    <button type="button" class="btn btn-outline-secondary quantity-minus" aria-label="${t('quick_view.decrease')}">&minus;</button>
+                    <input type="number" class="form-control quantity-input text-center" value="${item.quantity}" min="1"
+                           aria-label="${t('cart.quantity_of', { name: item.name })}">
+                    <button type="button" class="btn btn-outline-secondary quantity-plus" aria-label="${t('quick_view.increase')}">+</button>
+                </div>
+                <div class="cart-item-total fw-bold">${this.price(item.price * item.quantity)}</div>
+                <button type="button" class="btn btn-link text-danger remove-from-cart" data-product-id="${item.productId}"
+                        aria-label="${t('cart.remove', { name: item.name })}">
+                    <i class="fas fa-trash" aria-hidden="true"></i>
+                </button>
+            </li>
+        `;
+    }
+
+    price(amount) {
+        return html`<span class="product-price" data-component="price" data-price="${amount}">${Currency.format(amount)}</span>`;
+    }
+
+    // Bring an existing row up to date without replacing the controls in it
+    update(row, item) {
+        const input = row.querySelector('.quantity-input');
+        if (input && document.activeElement !== input && parseInt(input.value) !== item.quantity) {
+            input.value = item.quantity;
+        }
+
+        const total = row.querySelector('.cart-item-total');
+        const amount = item.price * item.quantity;
+        if (total && parseFloat(total.firstElementChild?.dataset.price) !== amount) {
+            setHtml(total, this.price(amount));
+        }
+    }
+}
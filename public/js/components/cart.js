@@ -0,0 +1,498 @@
+/**
+ * Shopping cart
+ *
+ * Guests keep their cart in localStorage only. For logged-in users localStorage is a
+ * cache of the server cart (cart_items table): every change is pushed to /cart/* and
+ * the cart returned by the server replaces the local copy. Items whose push got no
+ * answer stay marked as dirty and are reconciled on the next sync; a change the
+ * server refuses is dropped and the server cart is taken back.
+ * Pushes made while offline are queued by the service worker (sw.js) and the cart
+ * is synced again once they have been replayed.
+ * Removals can be undone for a few seconds (core/undo.js); they are only sent to
+ * the server afterwards and are rolled back if the server refuses them.
+ * Added and updated quantities are first checked against the product's current
+ * stock and ordering rules (core/stock.js) and brought within them.
+ *
+ * ShoppingCart is the single owner of the .remove-from-cart buttons; .add-to-cart
+ * buttons are CartButton element components ("cart-button") that delegate to it.
+ */
+
+import { AppConfig } from '../core/config.js';
+import { Utils } from '../core/utils.js';
+import { TabSync } from '../core/tab-sync.js';
+import { AjaxManager, AjaxError } from '../core/ajax.js';
+import { events } from '../core/events.js';
+import { listen, delegate } from '../core/dom.js';
+import { t } from '../core/i18n.js';
+import { notify } from '../core/notifications.js';
+import { undoable } from '../core/undo.js';
+import { Currency } from '../core/currency.js';
+import { Stock } from '../core/stock.js';
+
+export class ShoppingCart {
+    constructor() {
+        this.items = Utils.getStorage('cart') || [];
+        this.userId = AppConfig.userId;
+        this.listeners = [];
+        // productId => PendingChange of a removal that can still be undone
+        this.pendingRemovals = new Map();
+        // Products whose stock checkStock() is fetching
+        this.checking = new Set();
+        this.updateCartDisplay();
+        this.bindEvents();
+        this.syncWithServer();
+    }
+
+    bindEvents() {
+        this.listeners.push(
+            delegate(document, 'click', '.remove-from-cart', (e, button) => {
+                e.preventDefault();
+                this.handleRemoveButton(button);
+            }),
+            // Another tab saved the cart: adopt its state and refresh our display
+            TabSync.subscribe('cart', () => {
+                this.reload();
+                this.changed('tab');
+            }),
+            // Changes queued while offline reached the server: adopt the resulting cart
+            events.on('offline:replayed', () => this.syncWithServer()),
+            events.on('currency:changed', () => this.updateCartDisplay())
+        );
+    }
+
+    destroy() {
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+    }
+
+    async handleAddButton(button) {
+        const productId = button.dataset.productId;
+        const price = parseFloat(button.dataset.price) || 0;
+        const name = button.dataset.name || '';
+        const image = button.dataset.image || '';
+        const quantityInput = button.closest('.product-item, .product-card')?.querySelector('.quantity-input');
+        const quantity = parseInt(quantityInput?.value) || 1;
+
+        if (productId) {
+            button.disabled = true;
+            try {
+                await this.addItem(productId, quantity, price, name, image);
+            } finally {
+                button.disabled = false;
+            }
+        }
+    }
+
+    handleRemoveButton(button) {
+        const productId = button.dataset.productId;
+
+        if (productId) {
+            this.removeItem(productId, button.closest('.cart-item'));
+        }
+    }
+
+    // Re-read the cart from storage. Every mutation starts from the stored cart,
+    // so edits made in another tab are built upon instead of overwritten.
+    reload() {
+        this.items = Utils.getStorage('cart') || [];
+    }
+
+    // Resolves to the quantity actually added
+    async addItem(productId, quantity = 1, price = 0, name = '', image = '') {
+        productId = String(productId);
+        // Adding a product whose removal is still pending brings the removed quantity back too
+        this.pendingRemovals.get(productId)?.undo();
+        this.reload();
+        const total = await this.checkStock(productId, this.quantityOf(productId) + quantity);
+
+        // Another tab may have changed the cart meanwhile
+        this.reload();
+        const existingItem = this.items.find(item => item.productId === productId);
+        quantity = total - (existingItem?.quantity || 0);
+        if (quantity <= 0) return 0;
+
+        if (existingItem) {
+            existingItem.quantity += quantity;
+        } else {
+            this.items.push({
+                productId,
+                quantity,
+                price,
+                name,
+                image,
+                addedAt: new Date().toISOString()
+            });
+        }
+        
+        this.saveCart();
+        this.changed('local');
+        events.emit('cart:item-added', { item: { ...(existingItem || this.items[this.items.length - 1]) }, quantity });
+        this.pushChange('add', { product_id: productId, quantity }, [productId]);
+        notify(name ? t('cart.added', { name }) : t('cart.added_unnamed'), 'success');
+        return quantity;
+    }
+
+    quantityOf(productId) {
+        return this.items.find(item => item.productId === String(productId))?.quantity || 0;
+    }
+
+    // Bring `quantity`, the item's new total, within the product's current stock and
+    // ordering rules, and tell the visitor when it had to change. Without an answer from
+    // the server (offline) the quantity is kept: the cart endpoints check it again.
+    async checkStock(productId, quantity) {
+        let rules;
+        this.checking.add(productId);
+        try {
+            rules = await Stock.fetch(productId);
+        } catch (error) {
+            console.warn(`Could not check stock of product ${productId}:`, error);
+            return quantity;
+        } finally {
+            this.checking.delete(productId);
+        }
+
+        const allowed = Stock.clamp(quantity, rules);
+        if (allowed === 0) {
+            notify(t('cart.out_of_stock'), 'warning');
+        } else if (allowed < quantity) {
+            notify(t('cart.stock_limit', { count: allowed }), 'warning');
+        } else if (allowed > quantity) {
+            notify(t('cart.quantity_adjusted', { count: allowed }), 'info');
+        }
+        return allowed;
+    }
+
+    // Remove an item at once and offer to undo it; /cart/remove is only called once the
+    // undo window has passed. `row` is the element showing the item, hidden meanwhile.
+    removeItem(productId, row = null) {
+        productId = String(productId);
+        this.reload();
+        const index = this.items.findIndex(item => item.productId === productId);
+        if (index === -1) {
+            row?.remove();
+            this.pushChange('remove', { product_id: productId });
+            return;
+        }
+
+        const [removed] = this.items.splice(index, 1);
+        this.saveCart();
+        this.changed('local');
+        events.emit('cart:item-removed', { item: removed });
+        if (row) row.hidden = true;
+
+        const restore = () => {
+            this.pendingRemovals.delete(productId);
+            this.restoreItem(removed, index);
+            if (row) row.hidden = false;
+        };
+
+        this.pendingRemovals.set(productId, undoable(t('cart.removed'), {
+            undo: restore,
+            commit: () => this.userId
+                ? this.send('remove', { product_id: productId }, { keepalive: true })
+                : { success: true },
+            done: (response) => {
+                this.pendingRemovals.delete(productId);
+                row?.remove();
+                if (this.userId && ShoppingCart.isServerCart(response)) {
+                    this.applyServerCart(response.items);
+                }
+            },
+            rollback: () => {
+                restore();
+                notify(t('cart.remove_failed'), 'error');
+            }
+        }));
+    }
+
+    // Put a removed item back where it was
+    restoreItem(item, index) {
+        this.reload();
+        const existingItem = this.items.find(existing => existing.productId === item.productId);
+        if (existingItem) {
+            existingItem.quantity += item.quantity;
+        } else {
+            this.items.splice(Math.min(index, this.items.length), 0, item);
+        }
+        this.saveCart();
+        this.changed('local');
+        events.emit('cart:item-restored', { item: { ...(existingItem || item) } });
+    }
+
+    async updateQuantity(productId, quantity) {
+        productId = String(productId);
+        if (quantity > 0) {
+            quantity = await this.checkStock(productId, quantity);
+            if (quantity === 0) return;
+        }
+
+        this.reload();
+        const item = this.items.find(item => item.productId === productId);
+        if (item) {
+            if (quantity <= 0) {
+                this.removeItem(productId);
+            } else {
+                item.quantity = quantity;
+                this.saveCart();
+                this.changed('local');
+                events.emit('cart:item-updated', { item: { ...item } });
+                this.pushChange('update', { product_id: productId, quantity }, [productId]);
+            }
+        }
+    }
+
+    getTotal() {
+        return this.items.reduce((total, item) => total + (item.price * item.quantity), 0);
+    }
+
+    getItemCount() {
+        return this.items.reduce((count, item) => count + item.quantity, 0);
+    }
+
+    clear() {
+        this.items = [];
+        this.saveCart();
+        this.changed('local');
+        events.emit('cart:cleared');
+        this.pushChange('clear', {});
+    }
+
+    saveCart() {
+        Utils.setStorage('cart', this.items);
+        TabSync.publish('cart');
+    }
+
+    // Send a cart mutation to the server and adopt the cart it returns.
+    // `productIds` are flagged dirty if the request gets no answer so the change survives
+    // until the next sync; a change the server refuses is dropped.
+    async pushChange(action, payload, productIds = []) {
+        if (!this.userId) return;
+
+        let response;
+        try {
+            response = await this.send(action, payload);
+        } catch (error) {
+            if (error instanceof AjaxError && (error.status === 0 || error.timedOut)) {
+                console.warn(`Cart ${action} failed, keeping local change:`, error);
+                this.markDirty(productIds);
+            } else {
+                await this.refuseChange(action, productIds, error);
+            }
+            return;
+        }
+
+        // Offline: the service worker sends the change later, keep the local cart meanwhile
+        if (response && response.queued) return;
+        if (ShoppingCart.isServerCart(response)) {
+            this.applyServerCart(response.items);
+            return;
+        }
+        await this.refuseChange(action, productIds, new Error(response?.message || t('cart.update_rejected')));
+    }
+
+    markDirty(productIds) {
+        // Another tab may have saved the cart while the request was pending
+        this.reload();
+        this.items.forEach(item => {
+            if (productIds.includes(item.productId)) {
+                item.dirty = true;
+            }
+        });
+        this.saveCart();
+    }
+
+    // The server answered a change with an error: sending it again would fail the same
+    // way, so forget it and show the cart the server holds
+    async refuseChange(action, productIds, error) {
+        console.warn(`Cart ${action} refused by the server:`, error);
+        // 401, 403 and 5xx are announced by the application's AJAX error handler
+        if (!(error instanceof AjaxError) || (error.status >= 400 && error.status < 500 && ![401, 403].includes(error.status))) {
+            notify(t('cart.change_refused'), 'error');
+        }
+
+        this.reload();
+        this.items.forEach(item => {
+            if (productIds.includes(item.productId)) {
+                delete item.dirty;
+            }
+        });
+        this.saveCart();
+
+        try {
+            const response = await AjaxManager.get(AppConfig.cartUrl);
+            if (ShoppingCart.isServerCart(response)) {
+                this.applyServerCart(response.items);
+            }
+        } catch (cartError) {
+            console.warn('Could not reload cart from server:', cartError);
+        }
+    }
+
+    // POST a cart mutation to /cart/{action}; the cart endpoints read form fields like the other controllers
+    send(action, payload, options = {}) {
+        return AjaxManager.postForm(`${AppConfig.cartUrl}/${action}`, Utils.toFormData(payload), options);
+    }
+
+    // Reconcile localStorage with the server cart.
+    // - guest: nothing to do, the local cart is the only cart
+    // - logout: the account cart must not leak to the guest, so drop it
+    // - login (local cart owned by a guest): merge it into the account cart
+    // - another account: discard the local cart and take the server one
+    // - same account: server wins except for dirty items, which are merged
+    async syncWithServer() {
+        const owner = Utils.getStorage('cart_owner');
+
+        if (!this.userId) {
+            if (owner) {
+                this.items = [];
+                this.saveCart();
+                Utils.setStorage('cart_owner', null);
+                this.changed('server');
+            }
+            return;
+        }
+
+        let local;
+        if (owner === null) {
+            local = this.items.map(item => ({ ...item, dirty: true }));
+        } else if (String(owner) === String(this.userId)) {
+            local = this.items.filter(item => item.dirty);
+        } else {
+            local = [];
+        }
+
+        try {
+            const response = await AjaxManager.get(AppConfig.cartUrl);
+            if (!ShoppingCart.isServerCart(response)) {
+                throw new Error(response?.message || t('cart.update_rejected'));
+            }
+            const serverItems = response.items.filter(row => !this.pendingRemovals.has(String(row.product_id)));
+            this.items = ShoppingCart.mergeItems(local, serverItems.map(ShoppingCart.fromServer));
+            Utils.setStorage('cart_owner', this.userId);
+            this.saveCart();
+            this.changed('server');
+            await this.flushDirty(serverItems);
+        } catch (error) {
+            console.warn('Could not sync cart with server:', error);
+        }
+    }
+
+    // Push merged quantities that differ from what the server holds
+    async flushDirty(serverItems) {
+        const serverQuantities = new Map(serverItems.map(item => [String(item.product_id), parseInt(item.quantity)]));
+
+        for (const item of this.items.filter(item => item.dirty)) {
+            const serverQuantity = serverQuantities.get(item.productId);
+            if (serverQuantity === undefined) {
+                await this.pushChange('add', { product_id: item.productId, quantity: item.quantity }, [item.productId]);
+            } else if (serverQuantity !== item.quantity) {
+                await this.pushChange('update', { product_id: item.productId, quantity: item.quantity }, [item.productId]);
+            }
+        }
+    }
+
+    // Replace the local cart with the server cart, keeping dirty items that have not been accepted yet
+    // and leaving out items whose removal has not been sent yet
+    applyServerCart(serverItems) {
+        this.reload();
+        const dirty = this.items.filter(item => item.dirty);
+        const kept = serverItems.filter(row => !this.pendingRemovals.has(String(row.product_id)));
+        this.items = ShoppingCart.mergeItems(dirty, kept.map(ShoppingCart.fromServer));
+        this.saveCart();
+        this.changed('server');
+    }
+
+    // Deterministic merge: union by product, larger quantity wins, server price/name/image win.
+    // Items that end up with the server quantity are no longer dirty.
+    static mergeItems(localItems, serverItems) {
+        const merged = new Map();
+
+        serverItems.forEach(item => merged.set(item.productId, { ...item }));
+
+        localItems.forEach(item => {
+            const serverItem = merged.get(item.productId);
+            if (!serverItem) {
+                merged.set(item.productId, { ...item, dirty: true });
+            } else if (item.quantity > serverItem.quantity) {
+                merged.set(item.productId, { ...serverItem, quantity: item.quantity, addedAt: item.addedAt, dirty: true });
+            }
+        });
+
+        return Array.from(merged.values());
+    }
+
+    // Whether a /cart/* response carries the account cart: {success: true, items: [...]}
+    static isServerCart(response) {
+        return !!response && response.success === true && Array.isArray(response.items);
+    }
+
+    // Convert a server cart row ({product_id, quantity, price, name, image}) to a local item
+    static fromServer(row) {
+        return {
+            productId: String(row.product_id),
+            quantity: parseInt(row.quantity) || 0,
+            price: parseFloat(row.price) || 0,
+            name: row.name || '',
+            image: row.image || '',
+            addedAt: row.created_at || new Date().toISOString()
+        };
+    }
+
+    // Refresh the display and tell subscribers; `source` says where the change came from
+    changed(source) {
+        this.updateCartDisplay();
+        events.emit('cart:changed', {
+            items: this.items.map(item => ({ ...item })),
+            count: this.getItemCount(),
+            total: this.getTotal(),
+            source
+        });
+    }
+
+    updateCartDisplay() {
+        const cartCount = document.querySelector('.cart-count');
+        const cartTotal = document.querySelector('.cart-total');
+        
+        if (cartCount) {
+            cartCount.textContent = this.getItemCount();
+        }
+        
+        if (cartTotal) {
+            // Prices are kept in the store currency, which checkout charges
+            const total = this.getTotal();
+            cartTotal.textContent = Currency.format(total);
+            if (Currency.isConverted()) {
+                cartTotal.title = t('currency.store_price', { price: Currency.formatStore(total) });
+            } else {
+                cartTotal.removeAttribute('title');
+            }
+        }
+
+        // Update cart icon badge
+        const cartBadge = document.querySelector('.cart-badge');
+        if (cartBadge) {
+            const count = this.getItemCount();
+            cartBadge.textContent = count;
+            cartBadge.setAttribute('aria-label', t('cart.item_count', { count }));
+            cartBadge.style.display = count > 0 ? 'inline' : 'none';
+        }
+    }
+}
+
+// Element component "cart-button": adds the product described by the button's
+// data-product-id, data-price, data-name and data-image attributes to the cart
+export class CartButton {
+    constructor(button, cart) {
+        this.listeners = [
+            listen(button, 'click', (e) => {
+                e.preventDefault();
+                cart.handleAddButton(button);
+            })
+        ];
+    }
+
+    destroy() {
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+    }
+}
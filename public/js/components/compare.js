@@ -0,0 +1,164 @@
+/**
+ * Product comparison
+ *
+ * CompareManager keeps the products picked for comparison (up to
+ * AppConfig.compareLimit) in localStorage, shares them with the other tabs and
+ * shows them in a tray at the bottom of the page, from which the comparison
+ * view opens. .compare-btn buttons are CompareButton element components
+ * ("compare-button") described by data-product-id, data-name and data-image.
+ */
+
+import { AppConfig } from '../core/config.js';
+import { Utils } from '../core/utils.js';
+import { TabSync } from '../core/tab-sync.js';
+import { events } from '../core/events.js';
+import { listen, delegate } from '../core/dom.js';
+import { html, setHtml } from '../core/html.js';
+import { t } from '../core/i18n.js';
+import { notify } from '../core/notifications.js';
+import { ComparisonView } from './comparison-view.js';
+
+export class CompareManager {
+    constructor() {
+        this.items = Utils.getStorage('compare') || [];
+        this.view = null;
+
+        this.tray = document.createElement('aside');
+        this.tray.className = 'compare-tray';
+        this.tray.setAttribute('aria-label', t('compare.tray_label'));
+        document.body.appendChild(this.tray);
+
+        this.listeners = [
+            delegate(this.tray, 'click', '.compare-tray-remove', (e, button) => {
+                const index = Array.from(this.tray.querySelectorAll('.compare-tray-remove')).indexOf(button);
+                this.remove(button.dataset.productId);
+                // The tray was re-rendered: keep keyboard focus in it
+                const buttons = this.tray.querySelectorAll('.compare-tray-remove');
+                (buttons[Math.min(index, buttons.length - 1)] || this.tray.querySelector('.compare-clear'))?.focus();
+            }),
+            delegate(this.tray, 'click', '.compare-open', () => this.open()),
+            delegate(this.tray, 'click', '.compare-clear', () => this.clear()),
+            TabSync.subscribe('compare', () => {
+                this.items = Utils.getStorage('compare') || [];
+                this.changed();
+            })
+        ];
+
+        this.renderTray();
+    }
+
+    destroy() {
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+        this.view?.close();
+        this.tray.remove();
+    }
+
+    has(productId) {
+        return this.items.some(item => item.id === String(productId));
+    }
+
+    // Add or remove a product; false when the tray is already full
+    toggle(product) {
+        if (this.has(product.id)) {
+            this.remove(product.id);
+            return true;
+        }
+
+        if (this.items.length >= AppConfig.compareLimit) {
+            notify(t('compare.limit', { count: AppConfig.compareLimit }), 'warning');
+            return false;
+        }
+
+        this.items.push({ id: String(product.id), name: product.name || '', image: product.image || '' });
+        this.save();
+        return true;
+    }
+
+    remove(productId) {
+        this.items = this.items.filter(item => item.id !== String(productId));
+        this.save();
+    }
+
+    clear() {
+        this.items = [];
+        this.save();
+    }
+
+    save() {
+        Utils.setStorage('compare', this.items);
+        TabSync.publish('compare');
+        this.changed();
+    }
+
+    changed() {
+        this.renderTray();
+        this.view?.update(this.items);
+        events.emit('compare:changed', { items: this.items.map(item => ({ ...item })) });
+    }
+
+    open() {
+        if (this.items.length < 2) return;
+
+        this.view = new ComparisonView(this.items, {
+            onRemove: (productId) => this.remove(productId),
+            onClose: () => {
+                this.view = null;
+                // The tray button that opened the view is re-rendered when products are removed
+                if (document.activeElement === document.body) {
+                    this.tray.querySelector('.compare-open')?.focus();
+                }
+            }
+        }).open();
+    }
+
+    renderTray() {
+        this.tray.hidden = this.items.length === 0;
+        setHtml(this.tray, html`
+            <ul class="compare-tray-items">
+                ${this.items.map(item => html`
+                    <li class="compare-tray-item">
+                        ${item.image && html`<img src="${item.image}" alt="">`}
+                        <span class="compare-tray-name">${item.name}</span>
+                        <button type="button" class="compare-tray-remove" data-product-id="${item.id}"
+                                aria-label="${t('compare.remove', { name: item.name })}">&times;</button>
+                    </li>
+                `)}
+            </ul>
+            <div class="compare-tray-actions">
+                <button type="button" class="btn btn-primary btn-sm compare-open" ${this.items.length < 2 ? 'disabled' : ''}>
+                    ${t('compare.open', { count: this.items.length })}
+                </button>
+                <button type="button" class="btn btn-link btn-sm compare-clear">${t('compare.clear')}</button>
+            </div>
+        `);
+    }
+}
+
+// Element component "compare-button": toggles the product in the compare tray
+// and shows whether it is in it
+export class CompareButton {
+    constructor(button, compare) {
+        this.button = button;
+        this.compare = compare;
+        this.listeners = [
+            listen(button, 'click', (e) => {
+                e.preventDefault();
+                compare.toggle({ id: button.dataset.productId, name: button.dataset.name, image: button.dataset.image });
+            }),
+            events.on('compare:changed', () => this.update())
+        ];
+        this.update();
+    }
+
+    destroy() {
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+    }
+
+    update() {
+        const active = this.compare.has(this.button.dataset.productId);
+        this.button.classList.toggle('is-comparing', active);
+        this.button.setAttribute('aria-pressed', String(active));
+    }
+}
@@ -0,0 +1,223 @@
+/**
+ * Comparison view
+ *
+ * A modal table comparing the products of the compare tray side by side,
+ * opened by CompareManager. Details come from GET /api/products/{id}; rows
+ * whose values differ between products are highlighted and can be shown on
+ * their own. Every column has an add-to-cart button. Like the lightbox it
+ * traps focus while open and gives it back to the element that opened it.
+ */
+
+import { AppConfig } from '../core/config.js';
+import { AjaxManager } from '../core/ajax.js';
+import { listen } from '../core/dom.js';
+import { html, setHtml } from '../core/html.js';
+import { i18n, t } from '../core/i18n.js';
+import { Currency } from '../core/currency.js';
+
+const FOCUSABLE = 'button:not([disabled]), [href], input:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Units in stock, or null when the product does not say
+function stockOf(product) {
+    const stock = parseInt(product.stock_quantity);
+    return isNaN(stock) ? null : stock;
+}
+
+// Built-in rows; product attributes follow in the order they first appear
+const ROWS = [
+    { label: () => t('compare.price'), value: product => Currency.format(parseFloat(product.price) || 0) },
+    { label: () => t('compare.rating'), value: product => product.rating ? i18n.formatNumber(parseFloat(product.rating), { maximumFractionDigits: 1 }) : '' },
+    {
+        label: () => t('compare.availability'),
+        value: product => {
+            const stock = stockOf(product);
+            if (stock === null) return '';
+            return stock > 0 ? t('compare.in_stock', { count: stock }) : t('compare.out_of_stock');
+        }
+    },
+    { label: () => t('compare.category'), value: product => product.category_name || '' },
+    { label: () => t('compare.brand'), value: product => product.brand || '' }
+];
+
+export class ComparisonView {
+    constructor(items, { onRemove = null, onClose = null } = {}) {
+        this.items = items;
+        this.onRemove = onRemove;
+        this.onClose = onClose;
+        this.details = new Map();
+        this.listeners = [];
+    }
+
+    open() {
+        this.opener = document.activeElement;
+        this.element = document.createElement('div');
+        this.element.className = 'comparison-view';
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-modal', 'true');
+        this.element.setAttribute('aria-labelledby', 'comparison-title');
+        setHtml(this.element, html`
+            <div class="comparison-content">
+                <div class="comparison-toolbar">
+                    <h2 id="comparison-title" class="h5 mb-0">${t('compare.title')}</h2>
+                    <label class="form-check-label">
+                        <input type="checkbox" class="form-check-input comparison-differences"> ${t('compare.only_differences')}
+                    </label>
+                    <button type="button" class="btn-close comparison-close" aria-label="${t('compare.close')}"></button>
+                </div>
+                <div class="comparison-body"></div>
+            </div>
+        `);
+        this.body = this.element.querySelector('.comparison-body');
+
+        document.body.appendChild(this.element);
+        document.body.classList.add('comparison-open');
+
+        this.listeners.push(
+            listen(this.element.querySelector('.comparison-close'), 'click', () => this.close()),
+            listen(this.element.querySelector('.comparison-differences'), 'change', (e) => {
+                this.body.classList.toggle('only-differences', e.target.checked);
+            }),
+            listen(this.element, 'click', (e) => {
+                const remove = e.target.closest('.comparison-remove');
+                if (remove) {
+                    this.onRemove?.(remove.dataset.productId);
+                    // The button went away with its column
+                    this.element?.querySelector('.comparison-close').focus();
+                } else if (e.target === this.element) {
+                    // Click on the backdrop
+                    this.close();
+                }
+            }),
+            listen(this.element, 'keydown', (e) => {
+                if (e.key === 'Escape') {
+                    this.close();
+                } else if (e.key === 'Tab') {
+                    this.trapFocus(e);
+                }
+            })
+        );
+
+        this.element.querySelector('.comparison-close').focus();
+        this.load();
+        return this;
+    }
+
+    close() {
+        if (!this.element) return;
+
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+        this.element.remove();
+        this.element = null;
+        document.body.classList.remove('comparison-open');
+
+        if (this.opener && typeof this.opener.focus === 'function' && document.contains(this.opener)) {
+            this.opener.focus();
+        }
+        this.onClose?.();
+    }
+
+    // The compare list changed while the view is open
+    update(items) {
+        this.items = items;
+        if (this.element) this.load();
+    }
+
+    async load() {
+        const missing = this.items.filter(item => !this.details.has(item.id));
+        if (missing.length > 0) {
+            setHtml(this.body, html`<p class="comparison-loading">${t('compare.loading')}</p>`);
+            await Promise.all(missing.map(async item => {
+                try {
+                    this.details.set(item.id, await AjaxManager.get(`${AppConfig.apiUrl}products/${encodeURIComponent(item.id)}`));
+                } catch (error) {
+                    console.warn(`Could not load product ${item.id} for comparison:`, error);
+                    this.details.set(item.id, null);
+                }
+            }));
+        }
+        if (this.element) this.render();
+    }
+
+    render() {
+        if (this.items.length < 2) {
+            setHtml(this.body, html`<p class="comparison-empty">${t('compare.need_two')}</p>`);
+            return;
+        }
+
+        const products = this.items.map(item => ({ item, product: this.details.get(item.id) }));
+        const rows = ROWS.map(row => ({ label: row.label(), values: products.map(({ product }) => product ? row.value(product) : '') }));
+
+        // Attribute names in the order they first appear
+        const attributes = [];
+        products.forEach(({ product }) => Object.keys(product?.attributes || {}).forEach(name => {
+            if (!attributes.includes(name)) attributes.push(name);
+        }));
+        attributes.forEach(name => rows.push({
+            label: name,
+            values: products.map(({ product }) => String(product?.attributes?.[name] ?? ''))
+        }));
+        const shown = rows.filter(row => row.values.some(Boolean));
+
+        setHtml(this.body, html`
+            <div class="table-responsive">
+                <table class="table comparison-table">
+                    <thead>
+                        <tr>
+                            <td></td>
+                            ${products.map(({ item, product }) => html`
+                                <th scope="col">${this.renderHeader(item, product)}</th>
+                            `)}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${shown.map(row => html`
+                            <tr class="${new Set(row.values).size > 1 ? 'is-different' : ''}">
+                                <th scope="row">${row.label}</th>
+                                ${row.values.map(value => html`<td>${value || '—'}</td>`)}
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            </div>
+        `);
+    }
+
+    renderHeader(item, product) {
+        const url = `/product/${encodeURIComponent(item.id)}`;
+        const remove = html`
+            <button type="button" class="btn-close comparison-remove" data-product-id="${item.id}"
+                    aria-label="${t('compare.remove', { name: item.name })}"></button>
+        `;
+
+        if (!product) {
+            return html`${remove}<a href="${url}">${item.name}</a><p class="text-danger small">${t('compare.load_failed')}</p>`;
+        }
+
+        const price = parseFloat(product.price) || 0;
+        return html`
+            ${remove}
+            ${item.image && html`<img src="${item.image}" alt="" class="comparison-image">`}
+            <a href="${url}" class="comparison-name">${product.name || item.name}</a>
+            <button type="button" class="btn btn-primary btn-sm add-to-cart" ${stockOf(product) === 0 ? 'disabled' : ''}
+                    data-product-id="${item.id}" data-price="${price}" data-name="${product.name || item.name}" data-image="${item.image}">
+                <i class="fas fa-shopping-cart" aria-hidden="true"></i> ${t('listing.add_to_cart')}
+            </button>
+        `;
+    }
+
+    trapFocus(e) {
+        const focusable = Array.from(this.element.querySelectorAll(FOCUSABLE));
+        if (focusable.length === 0) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
@@ -0,0 +1,234 @@
+/**
+ * Product listing filters
+ *
+ * FilterManager is the single owner of .filter-checkbox, .filter-select and
+ * the #price-range slider. Changing a filter fetches the listing as JSON and
+ * updates it in place; the URL follows with history.pushState so filtered
+ * listings can be shared, and back/forward restore the previous filters.
+ *
+ * Markup:
+ * - .filter-checkbox[name][value]    multi-value facet, sent as name=a,b
+ *   a .facet-count inside its .form-check shows the number of matching products
+ * - .filter-select[name]             single-value facet
+ * - #price-range[data-min][data-max] noUiSlider, sent as min_price / max_price (store currency);
+ *   .price-range-min / .price-range-max show the range in the display currency
+ * - .products-container              the grid that is replaced (a product-grid
+ *                                    component renders the new results itself)
+ * - [data-filter-total]              receives the number of matching products (listing.total)
+ * - .filter-reset                    clears every filter
+ *
+ * The listing URL answers ?format=json with
+ * {html, products, total, page, pages, facets: {name: {value: count}}}.
+ */
+
+import { AppConfig } from '../core/config.js';
+import { Utils } from '../core/utils.js';
+import { AjaxManager } from '../core/ajax.js';
+import { delegate, listen } from '../core/dom.js';
+import { events } from '../core/events.js';
+import { html, raw, setHtml } from '../core/html.js';
+import { Currency } from '../core/currency.js';
+import { notify } from '../core/notifications.js';
+import { t } from '../core/i18n.js';
+
+const PRICE_PARAMS = ['min_price', 'max_price'];
+
+export class FilterManager {
+    constructor() {
+        this.container = document.querySelector('.products-container');
+        this.slider = document.querySelector('#price-range');
+        this.listeners = [];
+
+        if (!this.hasFilters()) return;
+
+        this.listeners.push(
+            delegate(document, 'change', '.filter-checkbox, .filter-select', () => this.apply()),
+            delegate(document, 'click', '.filter-reset', (e) => {
+                e.preventDefault();
+                this.reset();
+            }),
+            listen(window, 'popstate', (e) => this.restore(e.state))
+        );
+        this.initPriceRange();
+
+        // Mark the initial entry so coming back to it restores the unfiltered state
+        history.replaceState({ ...(history.state || {}), filters: window.location.search }, '');
+    }
+
+    destroy() {
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+        this.slider?.noUiSlider?.destroy();
+    }
+
+    hasFilters() {
+        return !!document.querySelector('.filter-checkbox, .filter-select, #price-range');
+    }
+
+    initPriceRange() {
+        if (!this.slider || typeof noUiSlider === 'undefined') return;
+
+        const min = parseFloat(this.slider.dataset.min) || 0;
+        const max = parseFloat(this.slider.dataset.max) || 1000;
+        const params = new URLSearchParams(window.location.search);
+        this.priceBounds = [min, max];
+
+        noUiSlider.create(this.slider, {
+            start: [parseFloat(params.get('min_price')) || min, parseFloat(params.get('max_price')) || max],
+            connect: true,
+            range: {
+                'min': min,
+                'max': max
+            },
+            format: {
+                to: function(value) {
+                    return Math.round(value);
+                },
+                from: function(value) {
+                    return Number(value);
+                }
+            }
+        });
+
+        this.slider.noUiSlider.on('update', (values) => this.showPriceRange(values));
+        this.listeners.push(events.on('currency:changed', () => this.showPriceRange(this.slider.noUiSlider.get())));
+        // 'change' fires once the handle is released, not on every pixel of the drag
+        this.slider.noUiSlider.on('change', Utils.debounce(() => this.apply(), AppConfig.debounceDelay));
+    }
+
+    showPriceRange([low, high]) {
+        document.querySelectorAll('.price-range-min').forEach(el => { el.textContent = Currency.format(low); });
+        document.querySelectorAll('.price-range-max').forEach(el => { el.textContent = Currency.format(high); });
+    }
+
+    // Names of every parameter the filters own, so unchecked filters are removed from the URL
+    managedParams() {
+        const names = new Set(PRICE_PARAMS);
+        document.querySelectorAll('.filter-checkbox, .filter-select').forEach(control => names.add(control.name));
+        return names;
+    }
+
+    // Current filter values as URL parameters, keeping unrelated ones (search, sort...)
+    collect() {
+        const params = new URLSearchParams(window.location.search);
+        this.managedParams().forEach(name => params.delete(name));
+        params.delete('page');
+
+        const checked = {};
+        document.querySelectorAll('.filter-checkbox:checked').forEach(checkbox => {
+            (checked[checkbox.name] = checked[checkbox.name] || []).push(checkbox.value);
+        });
+        Object.entries(checked).forEach(([name, values]) => params.set(name, values.join(',')));
+
+        document.querySelectorAll('.filter-select').forEach(select => {
+            if (select.value) params.set(select.name, select.value);
+        });
+
+        const price = this.slider?.noUiSlider?.get();
+        if (price) {
+            const [low, high] = price.map(Number);
+            if (low > this.priceBounds[0]) params.set('min_price', low);
+            if (high < this.priceBounds[1]) params.set('max_price', high);
+        }
+
+        return params;
+    }
+
+    apply() {
+        const params = this.collect();
+        // Keep "category=3,7" readable in the address bar
+        const query = params.toString() ? `?${params.toString().replace(/%2C/gi, ',')}` : '';
+        if (query === window.location.search) return;
+
+        history.pushState({ ...(history.state || {}), filters: query }, '', `${window.location.pathname}${query}`);
+        return this.load(params);
+    }
+
+    reset() {
+        document.querySelectorAll('.filter-checkbox:checked').forEach(checkbox => { checkbox.checked = false; });
+        document.querySelectorAll('.filter-select').forEach(select => { select.value = ''; });
+        this.slider?.noUiSlider?.set(this.priceBounds);
+        return this.apply();
+    }
+
+    // Back/forward: put the controls back the way that URL had them
+    restore(state) {
+        if (!state || state.filters === undefined) return;
+
+        const params = new URLSearchParams(window.location.search);
+        document.querySelectorAll('.filter-checkbox').forEach(checkbox => {
+            const values = (params.get(checkbox.name) || '').split(',');
+            checkbox.checked = values.includes(checkbox.value);
+        });
+        document.querySelectorAll('.filter-select').forEach(select => {
+            select.value = params.get(select.name) || '';
+        });
+        if (this.slider?.noUiSlider) {
+            this.slider.noUiSlider.set([
+                params.get('min_price') ?? this.priceBounds[0],
+                params.get('max_price') ?? this.priceBounds[1]
+            ]);
+        }
+
+        return this.load(params);
+    }
+
+    async load(params) {
+        const request = new URLSearchParams(params);
+        request.set('format', 'json');
+
+        this.setLoading(true);
+        try {
+            // A newer filter change aborts this one
+            const data = await AjaxManager.request(`${window.location.pathname}?${request}`, { key: 'filters' });
+            this.render(data);
+            events.emit('filters:applied', { params: Object.fromEntries(params), total: data.total, listing: data });
+        } catch (error) {
+            if (error.aborted) return;
+            // Keep the results shown; the URL already holds the filters, so reloading the page applies them
+            notify(t('listing.failed'), 'error');
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
+    setLoading(loading) {
+        if (!this.container) return;
+        this.container.classList.toggle('is-loading', loading);
+        this.container.setAttribute('aria-busy', loading ? 'true' : 'false');
+    }
+
+    render(data) {
+        if (this.container && !this.container.matches('[data-component~="product-grid"]')) {
+            // The grid is rendered by our own PHP view
+            setHtml(this.container, data.html
+                ? raw(data.html)
+                : html`<div class="col-12 text-center text-muted py-5">${t('listing.empty')}</div>`);
+        }
+
+        document.querySelectorAll('[data-filter-total]').forEach(el => { el.textContent = t('listing.total', { count: data.total ?? 0 }); });
+        this.updateFacets(data.facets || {});
+    }
+
+    updateFacets(facets) {
+        document.querySelectorAll('.filter-checkbox').forEach(checkbox => {
+            const counts = facets[checkbox.name];
+            if (!counts) return;
+
+            const count = counts[checkbox.value] || 0;
+            const label = checkbox.closest('.form-check')?.querySelector('.facet-count');
+            if (label) label.textContent = `(${count})`;
+            // Leave checked filters enabled so they can always be removed
+            checkbox.disabled = count === 0 && !checkbox.checked;
+        });
+
+        document.querySelectorAll('.filter-select').forEach(select => {
+            const counts = facets[select.name];
+            if (!counts) return;
+
+            Array.from(select.options).forEach(option => {
+                if (option.value) option.disabled = !counts[option.value] && option.value !== select.value;
+            });
+        });
+    }
+}
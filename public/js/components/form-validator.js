@@ -0,0 +1,508 @@
+/**
+ * Form validation
+ *
+ * FormValidator can be used directly with addRule(), or automatically through
+ * FormValidator.fromAttributes(), which backs the "validator" element component
+ * (form[data-validate] or data-component="validator").
+ *
+ * A rule is a function (value, formData) returning true when valid, false to
+ * report its message, or a string to report that string instead. It may also
+ * return a Promise of the same (async rules, e.g. "email already taken");
+ * results are cached per value so re-validating does not hit the server again.
+ *
+ * Attributes read by fromAttributes():
+ * - HTML5: required, type="email|url|number|tel", minlength, maxlength, min, max, pattern
+ * - data-min-length="8"
+ * - data-rule-match="password"         must equal another field
+ * - data-rule-pattern="^[A-Z]{3}$"     regular expression
+ * - data-rule-url
+ * - data-rule-username, data-rule-password, data-rule-email, data-rule-name, data-rule-phone
+ *       rules shared with classes/Validator.php (config/validation-rules.json), reporting
+ *       the server's messages; type="email" and type="tel" use them too
+ * - data-rule-remote="/api/validate/email"
+ *       GET url?field=<name>&value=<value>, answers {valid: bool, message?: string}
+ * - data-msg-<rule>="..."              overrides the message of a rule
+ */
+
+import { AppConfig } from '../core/config.js';
+import { AjaxManager } from '../core/ajax.js';
+import { listen } from '../core/dom.js';
+import { ValidationRules } from '../core/validation-rules.js';
+import { t } from '../core/i18n.js';
+
+const instances = new WeakMap();
+
+export class FormValidator {
+    constructor(form) {
+        this.form = form;
+        this.errors = {};
+        this.rules = {};
+        this.listeners = [];
+        this.touched = new Set();
+        this.dependents = {};
+        this.bypassSubmit = false;
+        this.bound = false;
+        instances.set(form, this);
+    }
+
+    // Validator attached to a form, creating a bare one (no rules) if there is none yet.
+    // Lets other components show server errors through the same rendering.
+    static for(form) {
+        return instances.get(form) || new FormValidator(form);
+    }
+
+    // Build a validator from the form's constraint and data-rule-* attributes,
+    // validate fields as the user types and the whole form on submit
+    static fromAttributes(form) {
+        // Keeps rules other components already added through FormValidator.for()
+        const validator = FormValidator.for(form);
+
+        form.querySelectorAll('input[name], select[name], textarea[name]').forEach(input => {
+            if (['submit', 'button', 'reset', 'hidden'].includes(input.type)) return;
+            validator.addAttributeRules(input);
+        });
+
+        // Our messages replace the browser's validation bubbles
+        form.noValidate = true;
+        validator.bindEvents();
+
+        return validator;
+    }
+
+    addAttributeRules(input) {
+        const name = input.name;
+        const data = input.dataset;
+        const rules = FormValidator.rules;
+        const message = (rule, fallback) => data[`msg${rule.charAt(0).toUpperCase()}${rule.slice(1)}`] || fallback;
+        const optional = { skipEmpty: true };
+        const shared = this.sharedRulesFor(input);
+
+        if (input.required) {
+            const requiredMessage = shared.map(rule => ValidationRules.requiredMessage(rule)).find(Boolean);
+            this.addRule(name, rules.required, message('required', requiredMessage || t('validation.required')));
+        }
+
+        // A data-msg-* override replaces the server's messages for that rule
+        shared.forEach(rule => {
+            const override = message(rule, null);
+            this.addRule(name, override ? (value) => rules.shared(rule)(value) === true : rules.shared(rule), override, optional);
+        });
+
+        if (input.type === 'email' && !shared.includes('email')) {
+            this.addRule(name, rules.email, message('email', t('validation.email')), optional);
+        }
+
+        if (input.type === 'url' || 'ruleUrl' in data) {
+            this.addRule(name, rules.url, message('url', t('validation.url')), optional);
+        }
+
+        if ((input.type === 'tel' || 'rulePhone' in data) && !shared.includes('phone')) {
+            this.addRule(name, rules.phone, message('phone', t('validation.phone')), optional);
+        }
+
+        if (input.type === 'number') {
+            this.addRule(name, rules.number, message('number', t('validation.number')), optional);
+        }
+
+        if (input.min !== undefined && input.min !== '') {
+            const min = parseFloat(input.min);
+            this.addRule(name, rules.min(min), message('min', t('validation.min', { min })), optional);
+        }
+
+        if (input.max !== undefined && input.max !== '') {
+            const max = parseFloat(input.max);
+            this.addRule(name, rules.max(max), message('max', t('validation.max', { max })), optional);
+        }
+
+        const minLength = parseInt(input.getAttribute('minlength') || data.minLength);
+        if (minLength > 0) {
+            this.addRule(name, rules.minLength(minLength), message('minLength', t('validation.min_length', { count: minLength })), optional);
+        }
+
+        const maxLength = parseInt(input.getAttribute('maxlength'));
+        if (maxLength > 0) {
+            this.addRule(name, rules.maxLength(maxLength), message('maxLength', t('validation.max_length', { count: maxLength })), optional);
+        }
+
+        if (input.getAttribute('pattern')) {
+            // HTML pattern attributes must match the whole value
+            const pattern = new RegExp(`^(?:${input.getAttribute('pattern')})$`);
+            this.addRule(name, { pattern }, message('pattern', input.title || t('validation.pattern')), optional);
+        }
+
+        if (data.rulePattern) {
+            this.addRule(name, { pattern: new RegExp(data.rulePattern) }, message('pattern', input.title || t('validation.pattern')), optional);
+        }
+
+        if ('rulePassword' in data && !shared.includes('password')) {
+            this.addRule(name, rules.password, message('password', t('validation.password')), optional);
+        }
+
+        if (data.ruleMatch) {
+            this.addRule(name, rules.match(data.ruleMatch), message('match', t('validation.match')));
+            this.dependents[data.ruleMatch] = [...(this.dependents[data.ruleMatch] || []), name];
+        }
+
+        if (data.ruleRemote) {
+            this.addRule(name, rules.remote(data.ruleRemote, name), message('remote', t('validation.remote')), optional);
+        }
+    }
+
+    // Names of the shared rules that apply to an input, from data-rule-<name> and its type
+    sharedRulesFor(input) {
+        const names = Object.keys(input.dataset)
+            .filter(key => key.startsWith('rule') && key.length > 4)
+            .map(key => key.charAt(4).toLowerCase() + key.slice(5));
+
+        if (input.type === 'email') names.push('email');
+        if (input.type === 'tel') names.push('phone');
+
+        return [...new Set(names)].filter(rule => ValidationRules.has(rule));
+    }
+
+    bindEvents() {
+        if (this.bound) return;
+        this.bound = true;
+
+        // Debounced per field, so typing in one field does not cancel the check of another
+        const timers = {};
+        const checkLater = (name) => {
+            clearTimeout(timers[name]);
+            timers[name] = setTimeout(() => this.checkField(name), AppConfig.debounceDelay);
+        };
+
+        this.listeners.push(
+            listen(this.form, 'submit', (e) => this.handleSubmit(e)),
+            // Validate a field once the user leaves it...
+            listen(this.form, 'focusout', (e) => {
+                const name = e.target.name;
+                if (!name || !this.rules[name]) return;
+                this.touched.add(name);
+                this.checkField(name);
+            }),
+            // ...and from then on while they type
+            listen(this.form, 'input', (e) => {
+                const name = e.target.name;
+                if (!name) return;
+                if (this.rules[name] && (this.touched.has(name) || this.errors[name])) {
+                    checkLater(name);
+                }
+                (this.dependents[name] || []).forEach(dependent => {
+                    if (this.touched.has(dependent)) checkLater(dependent);
+                });
+            })
+        );
+    }
+
+    destroy() {
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+        this.bound = false;
+        instances.delete(this.form);
+    }
+
+    // `options.skipEmpty` skips the rule for empty values, leaving those to `required`
+    addRule(field, rule, message, options = {}) {
+        if (!this.rules[field]) {
+            this.rules[field] = [];
+        }
+        this.rules[field].push({ rule, message, skipEmpty: !!options.skipEmpty, cache: new Map() });
+        return this;
+    }
+
+    removeRule(field, rule) {
+        if (!this.rules[field]) return this;
+        this.rules[field] = this.rules[field].filter(entry => entry.rule !== rule);
+        if (this.rules[field].length === 0) delete this.rules[field];
+        return this;
+    }
+
+    // Synchronous validation of every field. Async rules count with their cached
+    // result; use validateAsync() to wait for rules that have not answered yet.
+    validate() {
+        this.errors = {};
+        this.pending = false;
+        const formData = new FormData(this.form);
+
+        for (const field of Object.keys(this.rules)) {
+            const { messages, pending } = this.runRules(field, formData);
+            if (messages.length) this.errors[field] = messages;
+            if (pending.length) this.pending = true;
+        }
+
+        this.displayErrors();
+        return Object.keys(this.errors).length === 0;
+    }
+
+    async validateAsync() {
+        const formData = new FormData(this.form);
+        const results = await Promise.all(Object.keys(this.rules).map(async field => [field, await this.collectErrors(field, formData)]));
+
+        this.errors = {};
+        this.pending = false;
+        results.forEach(([field, messages]) => {
+            if (messages.length) this.errors[field] = messages;
+        });
+
+        this.displayErrors();
+        return Object.keys(this.errors).length === 0;
+    }
+
+    // Validate one field and update its feedback
+    async checkField(field) {
+        const formData = new FormData(this.form);
+        const value = this.valueOf(field, formData);
+        const { messages, pending } = this.runRules(field, formData);
+
+        if (pending.length && messages.length === 0) {
+            this.setFieldState(field, 'validating');
+        } else {
+            this.setFieldErrors(field, messages);
+        }
+
+        if (pending.length) {
+            const allMessages = await this.collectErrors(field, formData);
+            // Ignore the answer if the user has typed on in the meantime
+            if (this.valueOf(field, new FormData(this.form)) === value) {
+                this.setFieldErrors(field, allMessages);
+            }
+        }
+    }
+
+    handleSubmit(e) {
+        if (this.bypassSubmit) {
+            this.bypassSubmit = false;
+            return;
+        }
+
+        Object.keys(this.rules).forEach(field => this.touched.add(field));
+
+        if (!this.validate()) {
+            this.blockSubmit(e);
+            this.focusFirstError();
+            return;
+        }
+
+        if (!this.pending) return;
+
+        // Async rules still running: hold the submission until they answer
+        this.blockSubmit(e);
+        const submitter = e.submitter;
+        this.validateAsync().then(valid => {
+            if (!valid) {
+                this.focusFirstError();
+                return;
+            }
+            this.bypassSubmit = true;
+            if (typeof this.form.requestSubmit === 'function') {
+                this.form.requestSubmit(submitter && submitter.form === this.form ? submitter : undefined);
+            } else {
+                this.form.submit();
+            }
+        });
+    }
+
+    // Stop the submission, including delegated handlers such as .ajax-form
+    blockSubmit(e) {
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    // Run the rules of one field. Returns the failed messages of rules that answered
+    // and the promises (resolving to a message or null) of those that did not yet.
+    runRules(field, formData) {
+        const value = this.valueOf(field, formData);
+        const messages = [];
+        const pending = [];
+
+        for (const entry of this.rules[field] || []) {
+            if (entry.skipEmpty && value.trim() === '') continue;
+
+            const result = this.evaluate(entry, value, formData);
+            if (result && typeof result.then === 'function') {
+                pending.push(result.then(outcome => this.messageFor(entry, outcome)));
+            } else {
+                const message = this.messageFor(entry, result);
+                if (message) messages.push(message);
+            }
+        }
+
+        return { messages, pending };
+    }
+
+    async collectErrors(field, formData) {
+        const { messages, pending } = this.runRules(field, formData);
+        const asyncMessages = await Promise.all(pending);
+        return [...messages, ...asyncMessages.filter(Boolean)];
+    }
+
+    evaluate(entry, value, formData) {
+        if (entry.cache.has(value)) {
+            return entry.cache.get(value);
+        }
+
+        let result;
+        if (typeof entry.rule === 'function') {
+            result = entry.rule(value, formData);
+        } else if (typeof entry.rule === 'object' && entry.rule.pattern) {
+            result = entry.rule.pattern.test(value);
+        } else {
+            result = true;
+        }
+
+        if (result && typeof result.then === 'function') {
+            // Share the request while it runs, then remember the answer.
+            // Failed checks are not cached so they are retried.
+            entry.cache.set(value, result);
+            return result.then(outcome => {
+                entry.cache.set(value, outcome);
+                return outcome;
+            }, error => {
+                entry.cache.delete(value);
+                console.warn('Validation request failed:', error);
+                return true;
+            });
+        }
+
+        return result;
+    }
+
+    messageFor(entry, outcome) {
+        if (outcome === true) return null;
+        return typeof outcome === 'string' ? outcome : entry.message;
+    }
+
+    valueOf(field, formData) {
+        const value = formData.get(field);
+        return typeof value === 'string' ? value : '';
+    }
+
+    addError(field, message) {
+        if (!this.errors[field]) {
+            this.errors[field] = [];
+        }
+        this.errors[field].push(message);
+    }
+
+    // Show errors returned by the server, e.g. the `errors` of an AjaxError.
+    // Accepts {field: 'message'} or {field: ['message', ...]}.
+    showServerErrors(errors = {}) {
+        Object.entries(errors).forEach(([field, messages]) => {
+            this.errors[field] = Array.isArray(messages) ? messages : [String(messages)];
+            this.setFieldErrors(field, this.errors[field]);
+        });
+        this.focusFirstError();
+    }
+
+    clearErrors() {
+        this.errors = {};
+        this.clearFeedback();
+    }
+
+    clearFeedback() {
+        this.form.querySelectorAll('.invalid-feedback').forEach(el => el.remove());
+        this.form.querySelectorAll('.is-invalid, .is-valid, .is-validating').forEach(el => {
+            el.classList.remove('is-invalid', 'is-valid', 'is-validating');
+        });
+    }
+
+    displayErrors() {
+        this.clearFeedback();
+
+        for (const field of Object.keys(this.rules)) {
+            this.setFieldErrors(field, this.errors[field] || []);
+        }
+        // Errors for fields without rules (e.g. added with addError)
+        for (const [field, messages] of Object.entries(this.errors)) {
+            if (!this.rules[field]) this.setFieldErrors(field, messages);
+        }
+    }
+
+    setFieldErrors(field, messages) {
+        if (messages.length) {
+            this.errors[field] = messages;
+        } else {
+            delete this.errors[field];
+        }
+
+        const input = this.inputFor(field);
+        if (!input) return;
+
+        this.setFieldState(field, messages.length ? 'invalid' : (this.touched.has(field) ? 'valid' : null));
+        input.parentNode.querySelectorAll(`.invalid-feedback[data-field="${field}"]`).forEach(el => el.remove());
+
+        if (messages.length) {
+            const errorDiv = document.createElement('div');
+            errorDiv.className = 'invalid-feedback';
+            errorDiv.dataset.field = field;
+            errorDiv.id = `${input.id || field}-error`;
+            messages.forEach(message => {
+                const line = document.createElement('div');
+                line.textContent = message;
+                errorDiv.appendChild(line);
+            });
+            input.parentNode.appendChild(errorDiv);
+            input.setAttribute('aria-describedby', errorDiv.id);
+        }
+    }
+
+    setFieldState(field, state) {
+        const input = this.inputFor(field);
+        if (!input) return;
+
+        input.classList.toggle('is-invalid', state === 'invalid');
+        input.classList.toggle('is-valid', state === 'valid');
+        input.classList.toggle('is-validating', state === 'validating');
+        input.setAttribute('aria-invalid', state === 'invalid' ? 'true' : 'false');
+        if (state !== 'invalid') input.removeAttribute('aria-describedby');
+    }
+
+    focusFirstError() {
+        const first = Object.keys(this.errors).map(field => this.inputFor(field)).find(Boolean);
+        first?.focus();
+    }
+
+    inputFor(field) {
+        return this.form.querySelector(`[name="${CSS.escape(field)}"]`);
+    }
+
+    // Common validation rules
+    static rules = {
+        required: (value) => value.trim() !== '',
+        email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+        minLength: (min) => (value) => value.length >= min,
+        maxLength: (max) => (value) => value.length <= max,
+        min: (min) => (value) => parseFloat(value) >= min,
+        max: (max) => (value) => parseFloat(value) <= max,
+        number: (value) => value.trim() !== '' && !isNaN(Number(value)),
+        numeric: (value) => /^\d+$/.test(value),
+        alphanumeric: (value) => /^[a-zA-Z0-9]+$/.test(value),
+        // Same checks and messages as classes/Validator.php
+        shared: (name) => (value) => ValidationRules.check(name, value) || true,
+        phone: (value) => ValidationRules.has('phone')
+            ? ValidationRules.check('phone', value) === null
+            : /^[\+]?[1-9][\d]{0,15}$/.test(value.replace(/\s/g, '')),
+        url: (value) => {
+            try {
+                new URL(value);
+                return true;
+            } catch {
+                return false;
+            }
+        },
+        password: (value) => {
+            if (ValidationRules.has('password')) {
+                return ValidationRules.check('password', value) === null;
+            }
+            // At least 8 characters, 1 uppercase, 1 lowercase, 1 number
+            return /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)[a-zA-Z\d@$!%*?&]{8,}$/.test(value);
+        },
+        confirmPassword: (password) => (value) => value === password,
+        match: (otherField) => (value, formData) => value === (formData.get(otherField) || ''),
+        // Ask the server; it answers {valid: bool, message?: string}
+        remote: (url, field) => async (value) => {
+            const response = await AjaxManager.get(url, { field, value }, { key: `validate:${url}:${field}` });
+            return response.valid ? true : (response.message || false);
+        }
+    };
+}
@@ -0,0 +1,180 @@
+/**
+ * Product gallery and image management
+ *
+ * Element component "gallery": one ProductGallery per container; it owns the
+ * container's .product-thumbnail and .product-main-image elements.
+ * A thumbnail's data-full-size holds the large image URL, or a srcset list of
+ * sizes ("photo-800.jpg 800w, photo-1600.jpg 1600w") used by the lightbox.
+ *
+ * Options on the container:
+ * - data-magnifier="false" turns off the hover magnifier,
+ *   data-magnifier-zoom sets its zoom level (default 2.5)
+ * - data-spin-images lists the frames of a 360° view in order, as a JSON array
+ *   or comma-separated URLs; a "360°" button toggles it
+ */
+
+import { listen } from '../core/dom.js';
+import { t } from '../core/i18n.js';
+import { Lightbox, parseImageSource } from './lightbox.js';
+import { Magnifier } from './magnifier.js';
+import { SpinView, parseFrames } from './spin-view.js';
+
+export class ProductGallery {
+    constructor(container) {
+        this.container = container;
+        this.currentImage = 0;
+        this.images = [];
+        this.listeners = [];
+        this.init();
+    }
+
+    init() {
+        const thumbnails = this.container.querySelectorAll('.product-thumbnail');
+        const mainImage = this.container.querySelector('.product-main-image');
+
+        if (thumbnails.length > 0 && mainImage) {
+            this.images = Array.from(thumbnails).map(thumb => {
+                const { src, srcset } = parseImageSource(thumb.dataset.fullSize || thumb.src);
+                return { src, srcset, thumb: thumb.src, alt: thumb.alt };
+            });
+
+            thumbnails.forEach((thumb, index) => {
+                this.listeners.push(listen(thumb, 'click', () => {
+                    this.showImage(index);
+                    this.setActiveThumbnail(index);
+                }));
+            });
+
+            // Keyboard navigation; in 360° mode the arrows rotate instead
+            this.listeners.push(listen(this.container, 'keydown', (e) => {
+                if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+
+                if (this.spin?.active) {
+                    e.preventDefault();
+                    this.spin.rotate(e.key === 'ArrowLeft' ? -1 : 1);
+                } else if (e.key === 'ArrowLeft') {
+                    this.previousImage();
+                } else {
+                    this.nextImage();
+                }
+            }));
+
+            // Add zoom functionality
+            mainImage.tabIndex = 0;
+            mainImage.setAttribute('role', 'button');
+            mainImage.setAttribute('aria-label', t('gallery.open_viewer'));
+            this.listeners.push(listen(mainImage, 'click', () => {
+                // In 360° mode pressing the image starts a drag
+                if (!this.spin?.active) this.openLightbox();
+            }));
+            this.listeners.push(listen(mainImage, 'keydown', (e) => {
+                if ((e.key === 'Enter' || e.key === ' ') && !this.spin?.active) {
+                    e.preventDefault();
+                    this.openLightbox();
+                }
+            }));
+
+            if (this.container.dataset.magnifier !== 'false') {
+                this.magnifier = new Magnifier(mainImage, {
+                    zoom: parseFloat(this.container.dataset.magnifierZoom) || 2.5
+                });
+            }
+        }
+
+        if (mainImage) this.initSpin(mainImage);
+    }
+
+    initSpin(mainImage) {
+        const frames = parseFrames(this.container.dataset.spinImages);
+        if (frames.length < 2) return;
+
+        const host = mainImage.parentElement;
+        this.spinToggle = document.createElement('button');
+        this.spinToggle.type = 'button';
+        this.spinToggle.className = 'spin-toggle';
+        this.spinToggle.textContent = '360°';
+        this.spinToggle.setAttribute('aria-label', t('gallery.spin'));
+        this.spinToggle.setAttribute('aria-pressed', 'false');
+
+        this.spinStatus = document.createElement('div');
+        this.spinStatus.className = 'spin-status';
+        this.spinStatus.setAttribute('aria-live', 'polite');
+        host.classList.add('spin-host');
+        host.append(this.spinToggle, this.spinStatus);
+
+        this.spin = new SpinView(mainImage, frames, { status: this.spinStatus });
+        this.listeners.push(listen(this.spinToggle, 'click', () => this.toggleSpin()));
+    }
+
+    toggleSpin(active) {
+        if (!this.spin) return;
+        active = active ?? !this.spin.active;
+        if (active === this.spin.active) return;
+
+        if (active) {
+            this.spin.start();
+        } else {
+            this.spin.stop();
+        }
+        this.magnifier?.setEnabled(!active);
+        this.spinToggle.setAttribute('aria-pressed', String(active));
+        this.container.classList.toggle('is-spinning', active);
+    }
+
+    destroy() {
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+        this.lightbox?.close();
+        this.spin?.stop();
+        if (this.spin) {
+            this.spinToggle.parentElement?.classList.remove('spin-host');
+            this.spinToggle.remove();
+            this.spinStatus.remove();
+        }
+        this.magnifier?.destroy();
+    }
+
+    showImage(index) {
+        if (index >= 0 && index < this.images.length) {
+            // Picking a photo leaves the 360° view
+            if (this.spin?.active) this.toggleSpin(false);
+
+            const mainImage = this.container.querySelector('.product-main-image');
+            mainImage.src = this.images[index].src;
+            mainImage.alt = this.images[index].alt;
+            this.currentImage = index;
+        }
+    }
+
+    setActiveThumbnail(index) {
+        const thumbnails = this.container.querySelectorAll('.product-thumbnail');
+        thumbnails.forEach((thumb, i) => {
+            thumb.classList.toggle('active', i === index);
+        });
+    }
+
+    nextImage() {
+        const nextIndex = (this.currentImage + 1) % this.images.length;
+        this.showImage(nextIndex);
+        this.setActiveThumbnail(nextIndex);
+    }
+
+    previousImage() {
+        const prevIndex = (this.currentImage - 1 + this.images.length) % this.images.length;
+        this.showImage(prevIndex);
+        this.setActiveThumbnail(prevIndex);
+    }
+
+    openLightbox() {
+        if (this.lightbox?.isOpen()) return;
+
+        // Browsing in the lightbox moves the gallery along with it
+        this.lightbox = new Lightbox(this.images, {
+            start: this.currentImage,
+            onChange: (index) => {
+                this.showImage(index);
+                this.setActiveThumbnail(index);
+            }
+        }).open();
+    }
+}
@@ -0,0 +1,373 @@
+/**
+ * Image lightbox
+ *
+ * A modal image viewer opened by ProductGallery. It traps focus while open and
+ * gives it back to the element that opened it, and supports:
+ * - Escape to close, Left/Right to browse, +/- and 0 to zoom
+ * - wheel and pinch zoom, dragging to pan a zoomed image, double click/tap to toggle zoom
+ * - swiping left/right on touch screens
+ * - an image counter and thumbnails
+ * - preloading of the neighbouring images
+ *
+ * Images are {src, srcset, alt}; `srcset` lets the browser pick the
+ * high-resolution candidate that fits the screen.
+ */
+
+import { listen } from '../core/dom.js';
+import { html, setHtml } from '../core/html.js';
+import { t } from '../core/i18n.js';
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 4;
+const SWIPE_DISTANCE = 50;
+// Pointer travel beyond which a press is a drag rather than a click
+const DRAG_DISTANCE = 5;
+const FOCUSABLE = 'button:not([disabled]), [href], [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Read a data-full-size value: either a single URL or a srcset list
+ * ("photo-800.jpg 800w, photo-1600.jpg 1600w"). The largest candidate becomes
+ * the fallback src.
+ */
+export function parseImageSource(value) {
+    const source = String(value || '').trim();
+    if (!/\s\d+(\.\d+)?[wx](,|$)/.test(source)) {
+        return { src: source, srcset: '' };
+    }
+
+    const candidates = source.split(',').map(candidate => {
+        const [url, descriptor = '1x'] = candidate.trim().split(/\s+/);
+        return { url, size: parseFloat(descriptor) || 1 };
+    });
+    const largest = candidates.reduce((best, candidate) => candidate.size > best.size ? candidate : best);
+    return { src: largest.url, srcset: source };
+}
+
+export class Lightbox {
+    constructor(images, { start = 0, onChange = null } = {}) {
+        this.images = images;
+        this.index = start;
+        this.onChange = onChange;
+        this.listeners = [];
+        this.pointers = new Map();
+        this.resetZoom();
+    }
+
+    open() {
+        this.opener = document.activeElement;
+        this.render();
+        document.body.appendChild(this.element);
+        document.body.classList.add('lightbox-open');
+        this.bindEvents();
+        this.show(this.index);
+        this.element.querySelector('.lightbox-close').focus();
+        return this;
+    }
+
+    close() {
+        if (!this.element) return;
+
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+        this.element.remove();
+        this.element = null;
+        document.body.classList.remove('lightbox-open');
+
+        // Give focus back to whatever opened the lightbox
+        if (this.opener && typeof this.opener.focus === 'function' && document.contains(this.opener)) {
+            this.opener.focus();
+        }
+    }
+
+    isOpen() {
+        return !!this.element;
+    }
+
+    render() {
+        this.element = document.createElement('div');
+        this.element.className = 'product-lightbox';
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-modal', 'true');
+        this.element.setAttribute('aria-label', t('lightbox.label'));
+
+        const multiple = this.images.length > 1;
+        setHtml(this.element, html`
+            <div class="lightbox-content">
+                <div class="lightbox-toolbar">
+                    <span class="lightbox-counter" aria-live="polite"></span>
+                    <button type="button" class="lightbox-zoom-out" aria-label="${t('lightbox.zoom_out')}">&minus;</button>
+                    <button type="button" class="lightbox-zoom-in" aria-label="${t('lightbox.zoom_in')}">+</button>
+                    <button type="button" class="lightbox-close" aria-label="${t('lightbox.close')}">&times;</button>
+                </div>
+                <div class="lightbox-stage">
+                    <img class="lightbox-image" alt="" draggable="false">
+                </div>
+                ${multiple && html`
+                    <button type="button" class="lightbox-prev" aria-label="${t('lightbox.previous')}">&#8249;</button>
+                    <button type="button" class="lightbox-next" aria-label="${t('lightbox.next')}">&#8250;</button>
+                    <div class="lightbox-thumbnails">
+                        ${this.images.map((image, i) => html`
+                            <button type="button" class="lightbox-thumbnail" data-index="${i}" aria-label="${t('lightbox.image', { number: i + 1, alt: image.alt || '' })}">
+                                <img src="${image.thumb || image.src}" alt="">
+                            </button>
+                        `)}
+                    </div>
+                `}
+            </div>
+        `);
+
+        this.stage = this.element.querySelector('.lightbox-stage');
+        this.image = this.element.querySelector('.lightbox-image');
+    }
+
+    bindEvents() {
+        const el = this.element;
+        const on = (selector, handler) => {
+            const target = el.querySelector(selector);
+            if (target) this.listeners.push(listen(target, 'click', handler));
+        };
+
+        on('.lightbox-close', () => this.close());
+        on('.lightbox-prev', () => this.previous());
+        on('.lightbox-next', () => this.next());
+        on('.lightbox-zoom-in', () => this.zoomBy(1.5));
+        on('.lightbox-zoom-out', () => this.zoomBy(1 / 1.5));
+
+        this.listeners.push(
+            listen(el, 'click', (e) => {
+                const thumbnail = e.target.closest('.lightbox-thumbnail');
+                if (thumbnail) {
+                    this.show(parseInt(thumbnail.dataset.index));
+                } else if (this.dragged) {
+                    // Pointer capture sends the end of a pan or swipe to the stage as a click
+                    this.dragged = false;
+                } else if (e.target === el || e.target === this.stage) {
+                    // Click on the backdrop
+                    this.close();
+                }
+            }),
+            listen(el, 'keydown', (e) => this.handleKeydown(e)),
+            listen(this.stage, 'wheel', (e) => this.handleWheel(e), { passive: false }),
+            listen(this.stage, 'dblclick', (e) => this.toggleZoom(e)),
+            listen(this.stage, 'pointerdown', (e) => this.handlePointerDown(e)),
+            listen(this.stage, 'pointermove', (e) => this.handlePointerMove(e)),
+            listen(this.stage, 'pointerup', (e) => this.handlePointerUp(e)),
+            listen(this.stage, 'pointercancel', (e) => this.handlePointerUp(e)),
+            listen(this.image, 'load', () => this.image.classList.remove('is-loading'))
+        );
+    }
+
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+            case 'ArrowLeft':
+                e.preventDefault();
+                this.previous();
+                break;
+            case 'ArrowRight':
+                e.preventDefault();
+                this.next();
+                break;
+            case '+':
+            case '=':
+                this.zoomBy(1.5);
+                break;
+            case '-':
+                this.zoomBy(1 / 1.5);
+                break;
+            case '0':
+                this.resetZoom();
+                this.applyTransform();
+                break;
+            case 'Tab':
+                this.trapFocus(e);
+                break;
+        }
+    }
+
+    // Keep Tab and Shift+Tab cycling inside the dialog
+    trapFocus(e) {
+        const focusable = Array.from(this.element.querySelectorAll(FOCUSABLE));
+        if (focusable.length === 0) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    show(index) {
+        const count = this.images.length;
+        if (count === 0) return;
+
+        this.index = (index + count) % count;
+        const image = this.images[this.index];
+
+        this.resetZoom();
+        this.applyTransform();
+        this.image.classList.add('is-loading');
+        if (image.srcset) {
+            this.image.srcset = image.srcset;
+            this.image.sizes = '100vw';
+        } else {
+            this.image.removeAttribute('srcset');
+            this.image.removeAttribute('sizes');
+        }
+        this.image.src = image.src;
+        this.image.alt = image.alt || '';
+
+        this.element.querySelector('.lightbox-counter').textContent = `${this.index + 1} / ${count}`;
+        this.element.querySelectorAll('.lightbox-thumbnail').forEach((thumbnail, i) => {
+            thumbnail.classList.toggle('active', i === this.index);
+            thumbnail.setAttribute('aria-current', i === this.index ? 'true' : 'false');
+        });
+
+        this.preload(this.index + 1);
+        this.preload(this.index - 1);
+        this.onChange?.(this.index);
+    }
+
+    next() {
+        this.show(this.index + 1);
+    }
+
+    previous() {
+        this.show(this.index - 1);
+    }
+
+    // Warm the browser cache so browsing feels instant
+    preload(index) {
+        const count = this.images.length;
+        if (count < 2) return;
+
+        const image = this.images[(index + count) % count];
+        const preloader = new Image();
+        if (image.srcset) {
+            preloader.sizes = '100vw';
+            preloader.srcset = image.srcset;
+        }
+        preloader.src = image.src;
+    }
+
+    resetZoom() {
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+    }
+
+    // Zoom by `factor`, keeping the point under (clientX, clientY) in place
+    zoomBy(factor, clientX, clientY) {
+        const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, this.scale * factor));
+        const rect = this.stage.getBoundingClientRect();
+        const originX = (clientX ?? rect.left + rect.width / 2) - (rect.left + rect.width / 2);
+        const originY = (clientY ?? rect.top + rect.height / 2) - (rect.top + rect.height / 2);
+        const ratio = scale / this.scale;
+
+        this.x = originX - (originX - this.x) * ratio;
+        this.y = originY - (originY - this.y) * ratio;
+        this.scale = scale;
+        this.applyTransform();
+    }
+
+    toggleZoom(e) {
+        if (this.scale > 1) {
+            this.resetZoom();
+            this.applyTransform();
+        } else {
+            this.zoomBy(2.5, e.clientX, e.clientY);
+        }
+    }
+
+    handleWheel(e) {
+        e.preventDefault();
+        this.zoomBy(e.deltaY < 0 ? 1.2 : 1 / 1.2, e.clientX, e.clientY);
+    }
+
+    handlePointerDown(e) {
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        this.stage.setPointerCapture?.(e.pointerId);
+
+        if (this.pointers.size === 1) {
+            this.dragged = false;
+            this.gesture = { startX: e.clientX, startY: e.clientY, lastX: e.clientX, lastY: e.clientY, startTime: Date.now() };
+        } else if (this.pointers.size === 2) {
+            this.pinch = { distance: this.pointerDistance(), scale: this.scale };
+        }
+    }
+
+    handlePointerMove(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.pointers.size === 2 && this.pinch) {
+            const [a, b] = [...this.pointers.values()];
+            const factor = (this.pinch.scale * this.pointerDistance() / this.pinch.distance) / this.scale;
+            this.zoomBy(factor, (a.x + b.x) / 2, (a.y + b.y) / 2);
+        } else if (this.pointers.size === 1 && this.gesture && this.scale > 1) {
+            // Pan the zoomed image
+            this.x += e.clientX - this.gesture.lastX;
+            this.y += e.clientY - this.gesture.lastY;
+            this.applyTransform();
+        }
+
+        if (this.gesture) {
+            if (Math.hypot(e.clientX - this.gesture.startX, e.clientY - this.gesture.startY) > DRAG_DISTANCE) {
+                this.dragged = true;
+            }
+            this.gesture.lastX = e.clientX;
+            this.gesture.lastY = e.clientY;
+        }
+    }
+
+    handlePointerUp(e) {
+        this.pointers.delete(e.pointerId);
+        if (this.pointers.size < 2) this.pinch = null;
+        if (this.pointers.size > 0 || !this.gesture) return;
+
+        const gesture = this.gesture;
+        this.gesture = null;
+
+        // Swipe: a quick, mostly horizontal move on an image that is not zoomed
+        const dx = e.clientX - gesture.startX;
+        const dy = e.clientY - gesture.startY;
+        if (e.type === 'pointerup' && e.pointerType !== 'mouse' && this.scale === 1
+            && Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy) * 1.5 && Date.now() - gesture.startTime < 600) {
+            if (dx < 0) {
+                this.next();
+            } else {
+                this.previous();
+            }
+        }
+    }
+
+    pointerDistance() {
+        const [a, b] = [...this.pointers.values()];
+        return Math.hypot(a.x - b.x, a.y - b.y) || 1;
+    }
+
+    applyTransform() {
+        if (!this.image) return;
+
+        if (this.scale <= 1) {
+            this.resetZoom();
+        } else {
+            // Do not let the image be dragged out of view
+            const rect = this.stage.getBoundingClientRect();
+            const maxX = (rect.width * (this.scale - 1)) / 2;
+            const maxY = (rect.height * (this.scale - 1)) / 2;
+            this.x = Math.min(maxX, Math.max(-maxX, this.x));
+            this.y = Math.min(maxY, Math.max(-maxY, this.y));
+        }
+
+        this.image.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+        this.stage.classList.toggle('is-zoomed', this.scale > 1);
+    }
+}
@@ -0,0 +1,94 @@
+/**
+ * Hover magnifier
+ *
+ * Shows a lens over the image under the mouse and the magnified area in a pane
+ * beside it. Only mouse pointers trigger it; touch users have the lightbox.
+ * The pane shows the image's current source, so a high-resolution
+ * data-full-size gives the sharpest result.
+ */
+
+import { listen } from '../core/dom.js';
+
+export class Magnifier {
+    constructor(image, { zoom = 2.5 } = {}) {
+        this.image = image;
+        this.zoom = zoom;
+        this.enabled = true;
+        this.host = image.parentElement;
+        this.host.classList.add('magnifier-host');
+
+        this.lens = document.createElement('div');
+        this.lens.className = 'magnifier-lens';
+        this.lens.hidden = true;
+        this.pane = document.createElement('div');
+        this.pane.className = 'magnifier-pane';
+        this.pane.hidden = true;
+        // Purely visual: the lightbox offers the accessible zoom
+        this.lens.setAttribute('aria-hidden', 'true');
+        this.pane.setAttribute('aria-hidden', 'true');
+        this.host.append(this.lens, this.pane);
+
+        this.listeners = [
+            listen(image, 'pointerenter', (e) => this.show(e)),
+            listen(image, 'pointermove', (e) => this.move(e)),
+            listen(image, 'pointerleave', () => this.hide())
+        ];
+    }
+
+    destroy() {
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+        this.lens.remove();
+        this.pane.remove();
+        this.host.classList.remove('magnifier-host');
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) this.hide();
+    }
+
+    show(e) {
+        if (!this.enabled || e.pointerType !== 'mouse') return;
+
+        this.lens.hidden = false;
+        this.pane.hidden = false;
+        this.pane.style.backgroundImage = `url("${(this.image.currentSrc || this.image.src).replace(/"/g, '%22')}")`;
+        this.move(e);
+    }
+
+    move(e) {
+        if (this.lens.hidden) return;
+
+        const rect = this.image.getBoundingClientRect();
+        const paneWidth = this.pane.offsetWidth || rect.width;
+        const paneHeight = this.pane.offsetHeight || rect.height;
+        // The lens covers the part of the image the pane shows
+        const lensWidth = Math.min(rect.width, paneWidth / this.zoom);
+        const lensHeight = Math.min(rect.height, paneHeight / this.zoom);
+
+        const x = Math.min(rect.width - lensWidth, Math.max(0, e.clientX - rect.left - lensWidth / 2));
+        const y = Math.min(rect.height - lensHeight, Math.max(0, e.clientY - rect.top - lensHeight / 2));
+
+        // Positions are relative to the host, which may be larger than the image
+        const hostRect = this.host.getBoundingClientRect();
+        const offsetX = rect.left - hostRect.left;
+        const offsetY = rect.top - hostRect.top;
+
+        Object.assign(this.lens.style, {
+            width: `${lensWidth}px`,
+            height: `${lensHeight}px`,
+            left: `${offsetX + x}px`,
+            top: `${offsetY + y}px`
+        });
+        Object.assign(this.pane.style, {
+            backgroundSize: `${rect.width * this.zoom}px ${rect.height * this.zoom}px`,
+            backgroundPosition: `${-x * this.zoom}px ${-y * this.zoom}px`
+        });
+    }
+
+    hide() {
+        this.lens.hidden = true;
+        this.pane.hidden = true;
+    }
+}
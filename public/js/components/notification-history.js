@@ -0,0 +1,92 @@
+/**
+ * Notification history panel
+ *
+ * Element component "notification-history": the bell in the navbar. Its
+ * .notification-history-toggle opens .notification-history-panel, which lists
+ * the notifications of earlier pages and visits (kept by the notification
+ * center) and marks them read. The badge shows how many are unread.
+ */
+
+import { notifications } from '../core/notifications.js';
+import { events } from '../core/events.js';
+import { listen } from '../core/dom.js';
+import { html, setHtml } from '../core/html.js';
+import { i18n, t } from '../core/i18n.js';
+
+export class NotificationHistory {
+    constructor(element) {
+        this.element = element;
+        this.toggle = element.querySelector('.notification-history-toggle');
+        this.panel = element.querySelector('.notification-history-panel');
+        this.list = element.querySelector('.notification-history-list');
+        this.badge = element.querySelector('.notification-unread');
+        this.listeners = [];
+
+        if (!this.toggle || !this.panel || !this.list) return;
+
+        this.listeners.push(
+            listen(this.toggle, 'click', () => this.setOpen(this.panel.hidden)),
+            listen(element, 'click', (e) => {
+                if (e.target.closest('.notification-history-clear')) {
+                    notifications.clearHistory();
+                }
+            }),
+            listen(element, 'keydown', (e) => {
+                if (e.key === 'Escape' && !this.panel.hidden) {
+                    this.setOpen(false);
+                    this.toggle.focus();
+                }
+            }),
+            listen(document, 'click', (e) => {
+                if (!this.panel.hidden && !element.contains(e.target)) {
+                    this.setOpen(false);
+                }
+            }),
+            events.on('notification:history', ({ history, unread }) => {
+                if (!this.panel.hidden) {
+                    this.render(history);
+                }
+                this.updateBadge(unread);
+            })
+        );
+
+        this.updateBadge(notifications.unreadCount());
+    }
+
+    destroy() {
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+    }
+
+    setOpen(open) {
+        this.panel.hidden = !open;
+        this.toggle.setAttribute('aria-expanded', String(open));
+
+        if (open) {
+            this.render(notifications.history());
+            notifications.markAllRead();
+        }
+    }
+
+    render(history) {
+        if (history.length === 0) {
+            setHtml(this.list, html`<li class="notification-history-empty">${t('notifications.empty')}</li>`);
+            return;
+        }
+
+        setHtml(this.list, history.map(entry => html`
+            <li class="notification-history-item notification-${entry.type}${entry.read ? '' : ' unread'}">
+                <span class="notification-history-text">${entry.text}</span>
+                <time datetime="${entry.createdAt}">${i18n.formatDate(entry.createdAt, { month: 'short', hour: '2-digit', minute: '2-digit' })}</time>
+            </li>
+        `));
+    }
+
+    updateBadge(unread) {
+        if (!this.badge) return;
+
+        this.badge.hidden = unread === 0;
+        this.badge.textContent = unread;
+        this.toggle.setAttribute('aria-label', unread > 0 ? t('notifications.unread', { count: unread }) : t('notifications.label'));
+    }
+}
@@ -0,0 +1,114 @@
+/**
+ * Offline support
+ *
+ * OfflineManager registers the service worker (/sw.js), tells the user when
+ * the connection drops or comes back, and relays the worker's offline queue
+ * messages as toasts and offline:* events. POSTs queued by the worker answer
+ * with { success: false, queued: true, message }, so callers keep their local
+ * change instead of treating the response as a failure.
+ */
+
+import { AppConfig } from '../core/config.js';
+import { Utils } from '../core/utils.js';
+import { events } from '../core/events.js';
+import { listen } from '../core/dom.js';
+import { t } from '../core/i18n.js';
+import { notify } from '../core/notifications.js';
+
+export class OfflineManager {
+    constructor() {
+        this.listeners = [
+            listen(window, 'offline', () => this.showStatus(false)),
+            listen(window, 'online', () => {
+                this.showStatus(true);
+                this.replay();
+            })
+        ];
+
+        if (!navigator.onLine) {
+            this.showStatus(false);
+        }
+        this.register();
+    }
+
+    destroy() {
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+    }
+
+    async register() {
+        if (!('serviceWorker' in navigator)) return;
+
+        this.listeners.push(listen(navigator.serviceWorker, 'message', (e) => this.handleMessage(e.data || {})));
+
+        try {
+            this.registration = await navigator.serviceWorker.register(AppConfig.serviceWorkerUrl, { scope: '/' });
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+            return;
+        }
+
+        // Cached pages include the navbar of whoever was signed in when they were stored
+        const userId = AppConfig.userId || '';
+        if (Utils.getStorage('offline_user') !== userId) {
+            this.post({ type: 'clear-pages' });
+            Utils.setStorage('offline_user', userId);
+        }
+
+        this.sendOfflineTexts();
+
+        // Send anything left in the queue by an earlier visit
+        if (navigator.onLine) {
+            this.replay();
+        }
+    }
+
+    post(message) {
+        const worker = navigator.serviceWorker?.controller || this.registration?.active;
+        worker?.postMessage(message);
+    }
+
+    // The worker renders its offline page and queue answers in the page's language.
+    // Wait for an active worker: on the first visit it is still installing.
+    async sendOfflineTexts() {
+        const registration = await navigator.serviceWorker.ready;
+        registration.active?.postMessage({
+            type: 'offline-page',
+            lang: document.documentElement.lang || 'en',
+            dir: document.documentElement.dir || 'ltr',
+            title: t('offline.page.title'),
+            heading: t('offline.page.heading'),
+            text: t('offline.page.text'),
+            link: t('offline.page.link'),
+            queued: t('offline.queued')
+        });
+    }
+
+    // Background Sync replays the queue by itself; browsers without it rely on this
+    replay() {
+        this.post({ type: 'replay' });
+    }
+
+    showStatus(online) {
+        if (online) {
+            notify(t('offline.online'), 'success');
+        } else {
+            notify(t('offline.offline'), 'warning');
+        }
+        events.emit('connection:changed', { online });
+    }
+
+    handleMessage(message) {
+        if (message.type === 'queued') {
+            notify(t('offline.queued'), 'warning');
+            events.emit('offline:queued', { url: message.url });
+        } else if (message.type === 'replayed') {
+            if (message.failed > 0) {
+                notify(t('offline.replay_failed'), 'warning');
+            } else {
+                notify(t('offline.replayed'), 'success');
+            }
+            events.emit('offline:replayed', { sent: message.sent, failed: message.failed });
+        }
+    }
+}
@@ -0,0 +1,228 @@
+/**
+ * Password strength meter
+ *
+ * Element component "password-strength", mounted on input[data-password-strength].
+ * Shows a score (0-4), a label and hints below the field while the user types,
+ * and adds a rule to the form's FormValidator so the form cannot be submitted
+ * below the minimum score.
+ *
+ * - data-password-strength="3"            minimum score (AppConfig.passwordMinScore when empty)
+ * - data-strength-inputs="username email" fields of the same form the password must not contain
+ *                                         (default: username, email, first_name, last_name, name)
+ *
+ * The score is an entropy estimate in bits, lowered for repeats, sequences,
+ * keyboard walks, years, the user's own details and the bundled list of
+ * common passwords. Nothing is sent to the server.
+ */
+
+import { AppConfig } from '../core/config.js';
+import { listen } from '../core/dom.js';
+import { html, setHtml } from '../core/html.js';
+import { t } from '../core/i18n.js';
+import { COMMON_PASSWORDS } from '../data/common-passwords.js';
+import { FormValidator } from './form-validator.js';
+
+const COMMON = new Set(COMMON_PASSWORDS);
+// Message keys of the score labels, under password_strength
+const LABELS = ['very_weak', 'weak', 'fair', 'good', 'strong'];
+const COLORS = ['danger', 'danger', 'warning', 'info', 'success'];
+// Minimum bits for scores 1-4
+const THRESHOLDS = [28, 36, 60, 80];
+const SEQUENCES = ['abcdefghijklmnopqrstuvwxyz', '01234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm', '1qaz2wsx3edc'];
+const LEET = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '@': 'a', '$': 's', '!': 'i' };
+const DEFAULT_INPUTS = ['username', 'email', 'first_name', 'last_name', 'name'];
+
+const charsetSize = (password) => {
+    let size = 0;
+    if (/[a-z]/.test(password)) size += 26;
+    if (/[A-Z]/.test(password)) size += 26;
+    if (/[0-9]/.test(password)) size += 10;
+    if (/[^a-zA-Z0-9]/.test(password)) size += 33;
+    return size;
+};
+
+// Characters that add guesses: from the third character of a repeat or a run
+// along a sequence ("aaa", "abc", "qwe"), characters no longer count
+const effectiveLength = (password) => {
+    const lower = password.toLowerCase();
+    let length = 0;
+    let run = 0;
+
+    for (let i = 0; i < lower.length; i++) {
+        const pair = lower.slice(i - 1, i + 1);
+        const repeated = i > 0 && lower[i] === lower[i - 1];
+        const sequential = i > 0 && SEQUENCES.some(seq => seq.includes(pair) || seq.includes([...pair].reverse().join('')));
+
+        run = (repeated || sequential) ? run + 1 : 0;
+        if (run < 2) length++;
+    }
+
+    return length;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const findSequence = (lower) => {
+    for (let i = 0; i + 3 <= lower.length; i++) {
+        const part = lower.slice(i, i + 3);
+        const reversed = [...part].reverse().join('');
+        if (SEQUENCES.some(seq => seq.includes(part) || seq.includes(reversed))) return true;
+    }
+    return false;
+};
+
+// "P@ssw0rd99!" -> "password"
+const baseWord = (lower) => lower.replace(/[0-9!@#$%^&*._-]+$/, '').replace(/./g, c => LEET[c] || c);
+
+/**
+ * Estimate the strength of a password.
+ *
+ * @param {string} password
+ * @param {string[]} userInputs Values the password should not contain (username, email...)
+ * @returns {{score: number, bits: number, label: string, hints: string[]}}
+ */
+export function estimateStrength(password, userInputs = []) {
+    const hints = [];
+    const lower = password.toLowerCase();
+    let guessable = password;
+    let cap = 4;
+
+    if (password === '') {
+        return { score: 0, bits: 0, label: t(`password_strength.${LABELS[0]}`), hints: [] };
+    }
+
+    if (COMMON.has(lower)) {
+        cap = 0;
+        hints.push(t('password_strength.hint.common'));
+    } else if (COMMON.has(baseWord(lower)) || COMMON.has(lower.replace(/./g, c => LEET[c] || c))) {
+        cap = 1;
+        hints.push(t('password_strength.hint.variation'));
+    }
+
+    // The user's own details are the first thing an attacker tries
+    const personal = userInputs
+        .flatMap(value => {
+            const text = String(value || '').toLowerCase().trim();
+            return text.includes('@') ? [text, text.split('@')[0]] : [text];
+        })
+        .filter(value => value.length >= 3 && lower.includes(value));
+    if (personal.length) {
+        cap = Math.min(cap, 1);
+        guessable = password.replace(new RegExp(personal.map(escapeRegExp).join('|'), 'gi'), '');
+        hints.push(t('password_strength.hint.personal'));
+    }
+
+    if (/(.)\1\1/.test(lower)) {
+        hints.push(t('password_strength.hint.repeats'));
+    }
+    if (findSequence(lower)) {
+        hints.push(t('password_strength.hint.sequences'));
+    }
+    if (/(19|20)\d\d/.test(lower)) {
+        hints.push(t('password_strength.hint.dates'));
+    }
+
+    // Removed personal parts still cost a few guesses, not their full length
+    const bits = Math.round(effectiveLength(guessable) * Math.log2(Math.max(charsetSize(guessable), 10)) + (personal.length ? 4 : 0));
+    const score = Math.min(cap, THRESHOLDS.filter(threshold => bits >= threshold).length);
+
+    if (score < 4) {
+        if (password.length < 12) {
+            hints.push(t('password_strength.hint.length'));
+        }
+        if (charsetSize(password) < 62) {
+            hints.push(t('password_strength.hint.mix'));
+        }
+        if (hints.length === 0) {
+            hints.push(t('password_strength.hint.more'));
+        }
+    }
+
+    return { score, bits, label: t(`password_strength.${LABELS[score]}`), hints };
+}
+
+export class PasswordStrength {
+    constructor(input) {
+        this.input = input;
+        this.form = input.form;
+        const minScore = parseInt(input.dataset.passwordStrength);
+        this.minScore = Number.isNaN(minScore) ? AppConfig.passwordMinScore : minScore;
+        this.inputNames = input.dataset.strengthInputs ? input.dataset.strengthInputs.split(/\s+/) : DEFAULT_INPUTS;
+        this.result = estimateStrength('');
+
+        this.render();
+        this.listeners = [listen(input, 'input', () => this.update())];
+
+        if (this.form) {
+            // Re-score when the username or email changes
+            this.listeners.push(listen(this.form, 'input', (e) => {
+                if (e.target !== input && this.inputNames.includes(e.target.name)) this.update();
+            }));
+
+            this.rule = (value) => estimateStrength(value, this.userInputs()).score >= this.minScore || t('password_strength.too_weak');
+            this.validator = FormValidator.for(this.form).addRule(input.name, this.rule, null, { skipEmpty: true });
+            // Forms without data-validate still need their submission checked
+            this.ownsValidator = !this.validator.bound;
+            this.validator.bindEvents();
+        }
+
+        this.update();
+    }
+
+    destroy() {
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+        this.validator?.removeRule(this.input.name, this.rule);
+        if (this.ownsValidator) this.validator.destroy();
+        this.meter.remove();
+    }
+
+    render() {
+        this.meter = document.createElement('div');
+        this.meter.className = 'password-strength';
+        setHtml(this.meter, html`
+            <div class="progress" role="progressbar" aria-label="${t('password_strength.label')}" aria-valuemin="0" aria-valuemax="4" aria-valuenow="0">
+                <div class="progress-bar"></div>
+            </div>
+            <small class="password-strength-label" aria-live="polite"></small>
+            <ul class="password-strength-hints"></ul>
+        `);
+
+        // Below the input group (show-password button) rather than inside it
+        const anchor = this.input.closest('.input-group') || this.input;
+        anchor.insertAdjacentElement('afterend', this.meter);
+    }
+
+    userInputs() {
+        if (!this.form) return [];
+        return this.inputNames
+            .map(name => this.form.elements.namedItem(name))
+            .filter(field => field && field !== this.input && typeof field.value === 'string')
+            .map(field => field.value);
+    }
+
+    update() {
+        const password = this.input.value;
+        this.result = estimateStrength(password, this.userInputs());
+        const { score, label, hints } = this.result;
+
+        const progress = this.meter.querySelector('.progress');
+        const bar = this.meter.querySelector('.progress-bar');
+        const text = this.meter.querySelector('.password-strength-label');
+        const list = this.meter.querySelector('.password-strength-hints');
+
+        this.meter.hidden = password === '';
+        progress.setAttribute('aria-valuenow', score);
+        progress.setAttribute('aria-valuetext', label);
+        bar.style.width = `${(score + 1) * 20}%`;
+        bar.className = `progress-bar bg-${COLORS[score]}`;
+        text.textContent = score >= this.minScore ? label : t('password_strength.below_minimum', { label });
+        text.className = `password-strength-label text-${COLORS[score]}`;
+
+        list.replaceChildren(...hints.map(hint => {
+            const item = document.createElement('li');
+            item.textContent = hint;
+            return item;
+        }));
+    }
+}
@@ -0,0 +1,72 @@
+/**
+ * Prices in the buyer's currency
+ *
+ * Element component "price", mounted on [data-component="price"]: shows its
+ * data-price (an amount in the store currency) in the display currency, with
+ * the store-currency price on hover. Other elements with data-price, such as
+ * .add-to-cart buttons, keep it for the cart, which always works in the store
+ * currency. Inside a [data-currency="store"] container (checkout,
+ * invoices) prices stay in the store currency.
+ *
+ * Element component "currency-switcher": a <select class="currency-switcher">
+ * listing the currencies of the exchange rate table.
+ */
+
+import { Currency } from '../core/currency.js';
+import { events } from '../core/events.js';
+import { listen } from '../core/dom.js';
+import { t } from '../core/i18n.js';
+
+export class PriceTag {
+    constructor(element) {
+        this.element = element;
+        this.amount = parseFloat(element.dataset.price);
+        this.storeOnly = !!element.closest('[data-currency="store"]');
+        this.listeners = [
+            events.on('currency:changed', () => this.render())
+        ];
+        this.render();
+    }
+
+    destroy() {
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+    }
+
+    render() {
+        if (isNaN(this.amount)) return;
+
+        if (this.storeOnly || !Currency.isConverted()) {
+            this.element.textContent = Currency.formatStore(this.amount);
+            this.element.removeAttribute('title');
+            return;
+        }
+
+        this.element.textContent = Currency.format(this.amount);
+        this.element.title = t('currency.store_price', { price: Currency.formatStore(this.amount) });
+    }
+}
+
+export class CurrencySwitcher {
+    constructor(select) {
+        this.select = select;
+        this.select.replaceChildren(...Currency.codes().map(code => new Option(code, code)));
+        this.select.value = Currency.display;
+        this.select.setAttribute('aria-label', t('currency.label'));
+        // Nothing to choose from without exchange rates
+        this.select.hidden = this.select.options.length < 2;
+
+        this.listeners = [
+            listen(select, 'change', () => Currency.setDisplay(select.value)),
+            // Another switcher on the page changed the currency
+            events.on('currency:changed', ({ currency }) => {
+                this.select.value = currency;
+            })
+        ];
+    }
+
+    destroy() {
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+    }
+}
@@ -0,0 +1,338 @@
+/**
+ * Product grid
+ *
+ * Element component "product-grid": renders a product listing client-side from
+ * the listing's JSON (?format=json), loads the next page as the end of the
+ * grid scrolls into view and says when there is nothing left to load. Only the
+ * rows around the viewport are in the DOM, so categories with thousands of
+ * products stay fast; the rows above and below are stood in for by padding.
+ * Scrolling only adds and removes the rows entering and leaving that window,
+ * so the cards in between keep their state and focus.
+ *
+ *     <div class="products-container" data-component="product-grid"></div>
+ *
+ * views/products/index.php renders it for /products and /category/{id}.
+ *
+ * - data-source        listing URL (default: the current URL, filters included)
+ * - data-infinite      "false" loads pages with a "Load more" button instead of on scroll
+ *
+ * The first page is read from <script type="application/json" id="product-listing">
+ * when the view embeds it, and fetched otherwise. Listing responses look like
+ * {products: [{id, name, description, price, compare_price, image, rating}], total, page, pages}.
+ * Products already loaded and the scroll position are kept for the session, so
+ * coming back from /product/{id} shows the grid as it was left.
+ */
+
+import { AjaxManager } from '../core/ajax.js';
+import { listen } from '../core/dom.js';
+import { events } from '../core/events.js';
+import { appendHtml, html, setHtml } from '../core/html.js';
+import { Currency } from '../core/currency.js';
+import { t } from '../core/i18n.js';
+
+// Rows rendered above and below the visible ones
+const BUFFER_ROWS = 4;
+const STORAGE_PREFIX = 'product-grid:';
+
+export function productCard(product) {
+    const url = `/product/${encodeURIComponent(product.id)}`;
+    const image = product.image ? `/public/images/products/${product.image}` : '/public/images/placeholder.jpg';
+    const rating = Math.round(parseFloat(product.rating) || 0);
+    const price = parseFloat(product.price) || 0;
+    const comparePrice = parseFloat(product.compare_price) || 0;
+
+    return html`
+        <div class="card product-card h-100" data-product-id="${product.id}">
+            <a href="${url}"><img src="${image}" class="card-img-top" alt="${product.name}" loading="lazy"></a>
+            <div class="card-body">
+                <h6 class="card-title"><a href="${url}" class="text-decoration-none text-dark">${product.name}</a></h6>
+                <p class="card-text text-muted text-truncate-2">${product.description || ''}</p>
+                <div class="d-flex justify-content-between align-items-center">
+                    <div>
+                        <span class="product-price text-primary fw-bold" data-component="price" data-price="${price}">${Currency.format(price)}</span>
+                        ${comparePrice > price ? html`<small class="product-original-price ms-2" data-component="price" data-price="${comparePrice}">${Currency.format(comparePrice)}</small>` : ''}
+                    </div>
+                    <div class="rating" aria-label="${rating}/5">
+                        ${[1, 2, 3, 4, 5].map(i => html`<i class="${i <= rating ? 'fas' : 'far'} fa-star text-warning" aria-hidden="true"></i>`)}
+                    </div>
+                </div>
+                <div class="d-flex gap-2 mt-2">
+                    <button type="button" class="btn btn-primary btn-sm flex-grow-1 add-to-cart"
+                            data-product-id="${product.id}" data-price="${price}" data-name="${product.name}" data-image="${image}">
+                        <i class="fas fa-shopping-cart" aria-hidden="true"></i> ${t('listing.add_to_cart')}
+                    </button>
+                    <button type="button" class="btn btn-outline-secondary btn-sm compare-btn"
+                            data-product-id="${product.id}" data-name="${product.name}" data-image="${image}">
+                        ${t('compare.toggle')}
+                    </button>
+                    <button type="button" class="btn btn-outline-secondary btn-sm quick-view-btn"
+                            data-product-id="${product.id}" title="${t('quick_view.open')}">
+                        <i class="fas fa-search-plus" aria-hidden="true"></i>
+                        <span class="visually-hidden">${t('quick_view.open')}</span>
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+export class ProductGrid {
+    constructor(container) {
+        this.container = container;
+        this.infinite = container.dataset.infinite !== 'false';
+        this.products = [];
+        this.page = 0;
+        this.pages = 1;
+        this.total = 0;
+        this.loading = false;
+        this.failed = false;
+        this.range = null;
+        this.rowHeight = 0;
+        this.columns = 1;
+        this.frame = null;
+
+        container.classList.add('product-grid');
+
+        this.footer = document.createElement('div');
+        this.footer.className = 'product-grid-footer';
+        setHtml(this.footer, html`
+            <p class="product-grid-status" role="status"></p>
+            <button type="button" class="btn btn-outline-primary product-grid-more" hidden>${t('listing.load_more')}</button>
+        `);
+        container.after(this.footer);
+        this.status = this.footer.querySelector('.product-grid-status');
+        this.moreButton = this.footer.querySelector('.product-grid-more');
+
+        this.listeners = [
+            listen(window, 'scroll', () => this.scheduleRender(), { passive: true }),
+            listen(window, 'resize', () => {
+                this.rowHeight = 0;
+                this.scheduleRender();
+            }),
+            listen(window, 'pagehide', () => this.saveState()),
+            listen(this.moreButton, 'click', () => {
+                this.failed = false;
+                this.loadNext();
+            }),
+            events.on('filters:applied', ({ listing }) => {
+                if (listing) this.reset(listing);
+            })
+        ];
+
+        if (this.infinite && 'IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver((entries) => {
+                if (!this.failed && entries.some(entry => entry.isIntersecting)) this.loadNext();
+            }, { rootMargin: '600px 0px' });
+            this.observer.observe(this.footer);
+        }
+
+        this.init();
+    }
+
+    destroy() {
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+        this.observer?.disconnect();
+        cancelAnimationFrame(this.frame);
+        this.footer.remove();
+    }
+
+    init() {
+        const saved = this.restoreState();
+        if (saved) {
+            // The browser would scroll before the products are back
+            history.scrollRestoration = 'manual';
+            this.reset(saved);
+            window.scrollTo(0, saved.scrollY || 0);
+            this.render();
+            return;
+        }
+
+        const embedded = document.getElementById('product-listing');
+        if (embedded) {
+            try {
+                this.reset(JSON.parse(embedded.textContent));
+                return;
+            } catch (error) {
+                console.warn('Invalid embedded product listing:', error);
+            }
+        }
+
+        this.loadNext();
+    }
+
+    // Listing URL for `page`, keeping the current filters and sort order
+    listingUrl(page) {
+        const url = new URL(this.container.dataset.source || window.location.href, window.location.origin);
+        url.searchParams.set('page', page);
+        url.searchParams.set('format', 'json');
+        return `${url.pathname}?${url.searchParams}`;
+    }
+
+    hasMore() {
+        return this.page < this.pages;
+    }
+
+    async loadNext() {
+        if (this.loading || !this.hasMore()) return;
+
+        this.loading = true;
+        this.container.setAttribute('aria-busy', 'true');
+        this.status.textContent = t('listing.loading');
+        this.moreButton.hidden = true;
+
+        try {
+            // A filter change resets the grid and aborts this request
+            const data = await AjaxManager.get(this.listingUrl(this.page + 1), {}, { key: 'product-grid' });
+            this.append(data);
+        } catch (error) {
+            if (error.aborted) return;
+            this.status.textContent = t('listing.failed');
+            // Scrolling would retry in a loop; the user retries with the button instead
+            this.failed = true;
+            this.moreButton.hidden = false;
+        } finally {
+            this.loading = false;
+            this.container.setAttribute('aria-busy', 'false');
+        }
+    }
+
+    // Start over with a first page of results (new filters, restored state)
+    reset(data) {
+        AjaxManager.abort('product-grid');
+        this.loading = false;
+        this.failed = false;
+        this.products = [];
+        this.page = 0;
+        this.range = null;
+        // New results start at the top of the grid
+        window.scrollTo(0, Math.min(window.scrollY, this.container.getBoundingClientRect().top + window.scrollY));
+        this.append(data);
+    }
+
+    append(data) {
+        this.products = this.products.concat(data.products || []);
+        this.page = parseInt(data.page) || this.page + 1;
+        this.pages = parseInt(data.pages) || this.page;
+        this.total = parseInt(data.total) || this.products.length;
+        this.render();
+        this.updateStatus();
+
+        // The first pages may not fill the screen, so the footer never leaves the viewport
+        if (this.observer && this.hasMore()) {
+            this.observer.unobserve(this.footer);
+            this.observer.observe(this.footer);
+        }
+    }
+
+    updateStatus() {
+        const count = this.products.length;
+        if (count === 0) {
+            this.status.textContent = t('listing.empty');
+        } else if (this.hasMore()) {
+            this.status.textContent = t('listing.count', { count, total: this.total });
+        } else {
+            this.status.textContent = t('listing.end', { count: this.total });
+        }
+        this.moreButton.hidden = !!this.observer || !this.hasMore();
+        this.footer.classList.toggle('is-complete', !this.hasMore());
+    }
+
+    scheduleRender() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.render();
+        });
+    }
+
+    // Render the rows around the viewport. `this.range` is the slice of products
+    // the container holds; null means its content has to be rebuilt.
+    render() {
+        // Measure with a single card rather than rendering a whole restored listing first
+        if (!this.rowHeight && this.products.length > 0) {
+            setHtml(this.container, productCard(this.products[0]));
+            this.measure();
+            this.range = null;
+        }
+
+        const range = this.visibleRange();
+        const rows = Math.ceil(this.products.length / this.columns);
+        const firstRow = range.start / this.columns;
+        const lastRow = Math.ceil(range.end / this.columns);
+        this.container.style.paddingTop = `${firstRow * this.rowHeight}px`;
+        this.container.style.paddingBottom = `${Math.max(0, rows - lastRow) * this.rowHeight}px`;
+
+        const previous = this.range;
+        this.range = range;
+        if (!previous || range.start >= previous.end || range.end <= previous.start) {
+            setHtml(this.container, this.products.slice(range.start, range.end).map(productCard));
+            return;
+        }
+
+        // The windows overlap: only swap the cards leaving and entering it
+        for (let i = previous.start; i < range.start; i++) {
+            this.container.firstElementChild.remove();
+        }
+        for (let i = range.end; i < previous.end; i++) {
+            this.container.lastElementChild.remove();
+        }
+        if (range.start < previous.start) {
+            appendHtml(this.container, this.products.slice(range.start, previous.start).map(productCard), 'afterbegin');
+        }
+        if (range.end > previous.end) {
+            appendHtml(this.container, this.products.slice(previous.end, range.end).map(productCard));
+        }
+    }
+
+    // Columns from the CSS grid, row height from a rendered card
+    measure() {
+        const style = getComputedStyle(this.container);
+        this.columns = Math.max(1, style.gridTemplateColumns.split(' ').filter(Boolean).length);
+        const card = this.container.firstElementChild;
+        this.rowHeight = card ? card.offsetHeight + (parseFloat(style.rowGap) || 0) : 0;
+    }
+
+    visibleRange() {
+        // Nothing measured yet (hidden grid): render everything
+        if (!this.rowHeight) {
+            return { start: 0, end: this.products.length };
+        }
+
+        const rows = Math.ceil(this.products.length / this.columns);
+        const top = this.container.getBoundingClientRect().top;
+        const firstRow = Math.min(Math.max(0, rows - 1), Math.max(0, Math.floor(-top / this.rowHeight) - BUFFER_ROWS));
+        const lastRow = Math.min(rows, Math.ceil((window.innerHeight - top) / this.rowHeight) + BUFFER_ROWS);
+        return {
+            start: firstRow * this.columns,
+            end: Math.min(this.products.length, lastRow * this.columns)
+        };
+    }
+
+    storageKey() {
+        return STORAGE_PREFIX + this.listingUrl(1);
+    }
+
+    saveState() {
+        if (this.products.length === 0) return;
+
+        const state = { products: this.products, page: this.page, pages: this.pages, total: this.total, scrollY: window.scrollY };
+        try {
+            sessionStorage.setItem(this.storageKey(), JSON.stringify(state));
+            history.replaceState({ ...(history.state || {}), productGrid: this.storageKey() }, '');
+        } catch (e) {
+            console.warn('Could not save the product grid:', e);
+        }
+    }
+
+    // Saved state of this history entry; a fresh visit to the listing starts from page 1
+    restoreState() {
+        if (history.state?.productGrid !== this.storageKey()) return null;
+
+        try {
+            return JSON.parse(sessionStorage.getItem(this.storageKey()));
+        } catch (e) {
+            return null;
+        }
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * Quantity steppers
+ *
+ * Element component "quantity": a container holding a .quantity-input and
+ * .quantity-minus / .quantity-plus buttons (the older .quantity-btn buttons,
+ * with .quantity-increase for the up button, are handled too).
+ * The value moves by the input's step and stays between its min (default 1)
+ * and max (default 999); typed values are brought back within them.
+ *
+ * With data-product-id on the container, the stepper takes the product's stock
+ * and ordering rules from the server (core/stock.js), unless they were fetched
+ * earlier on the page, keeps them current as the cart checks the product again,
+ * and shows the availability below itself.
+ */
+
+import { Stock } from '../core/stock.js';
+import { events } from '../core/events.js';
+import { listen, delegate } from '../core/dom.js';
+
+export class QuantityControls {
+    constructor(container) {
+        this.container = container;
+        this.input = container.querySelector('.quantity-input');
+        this.productId = container.dataset.productId || null;
+        this.rules = null;
+        this.status = null;
+        this.listeners = [
+            delegate(container, 'click', '.quantity-minus, .quantity-plus, .quantity-btn', (e, button) => {
+                e.preventDefault();
+                this.step(button);
+            })
+        ];
+        if (!this.input) return;
+
+        this.listeners.push(listen(this.input, 'change', () => this.normalize()));
+
+        if (this.productId) {
+            this.status = document.createElement('small');
+            this.status.className = 'quantity-availability';
+            this.status.setAttribute('aria-live', 'polite');
+            container.after(this.status);
+
+            this.listeners.push(events.on('stock:updated', ({ productId, rules }) => {
+                if (productId === this.productId) this.apply(rules);
+            }));
+            const rules = Stock.cached(this.productId);
+            if (rules) {
+                this.apply(rules);
+            } else {
+                Stock.fetch(this.productId).catch(error => console.warn(`Could not load stock of product ${this.productId}:`, error));
+            }
+        }
+
+        this.update();
+    }
+
+    destroy() {
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+        this.status?.remove();
+    }
+
+    // The input's own limits
+    limits() {
+        return {
+            min: parseInt(this.input.min) || 1,
+            step: parseInt(this.input.step) || 1,
+            max: parseInt(this.input.max) || 999
+        };
+    }
+
+    apply(rules) {
+        this.rules = rules;
+        Stock.applyTo(this.input, rules);
+        this.update();
+    }
+
+    step(button) {
+        const input = this.input;
+        if (!input) return;
+
+        const isIncrease = button.classList.contains('quantity-plus') || button.classList.contains('quantity-increase');
+        const limits = this.limits();
+        const currentValue = parseInt(input.value) || limits.min;
+        const newValue = Stock.clamp(currentValue + (isIncrease ? limits.step : -limits.step), limits) || limits.min;
+
+        if (newValue !== currentValue) {
+            input.value = newValue;
+            input.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+    }
+
+    normalize() {
+        const limits = this.limits();
+        const value = parseInt(this.input.value);
+        const allowed = Stock.clamp(isNaN(value) ? limits.min : value, limits) || limits.min;
+        if (allowed !== value) {
+            this.input.value = allowed;
+        }
+        this.update();
+    }
+
+    // Mark the buttons at the ends of the range (aria-disabled keeps them focusable) and show the availability
+    update() {
+        const limits = this.limits();
+        const value = parseInt(this.input.value) || limits.min;
+        this.container.querySelectorAll('.quantity-minus, .quantity-btn:not(.quantity-increase)').forEach(button => {
+            button.setAttribute('aria-disabled', String(value <= limits.min));
+        });
+        this.container.querySelectorAll('.quantity-plus, .quantity-increase').forEach(button => {
+            button.setAttribute('aria-disabled', String(value + limits.step > limits.max));
+        });
+
+        if (this.status && this.rules) {
+            const text = [Stock.message(this.rules, value), Stock.hint(this.rules)].filter(Boolean).join(' ');
+            this.status.textContent = text;
+            this.status.classList.toggle('text-danger', !Stock.orderable(this.rules));
+        }
+    }
+}
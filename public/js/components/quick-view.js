@@ -0,0 +1,320 @@
+/**
+ * Product quick view
+ *
+ * Opens a product in a dialog from any .quick-view-btn[data-product-id], or
+ * from ?quickview=ID in the URL, which follows the open product so the view can
+ * be linked to. The product comes from GET /api/products/{id}:
+ *
+ *     { id, name, description, price, stock_quantity, images: [{ src, full, alt }],
+ *       variants: [{ id, options: { Color: "Red", Size: "M" }, price, stock_quantity }] }
+ *
+ * Variants are sellable products of their own: the chosen variant's id is what
+ * goes into the cart, and its stock and ordering rules (core/stock.js) are what
+ * the quantity stepper follows. The dialog's gallery and quantity stepper are the regular
+ * "gallery" and "quantity" element components. Like the lightbox it traps focus
+ * while open and gives it back to the element that opened it.
+ */
+
+import { AppConfig } from '../core/config.js';
+import { AjaxManager } from '../core/ajax.js';
+import { listen, delegate } from '../core/dom.js';
+import { html, setHtml } from '../core/html.js';
+import { Currency } from '../core/currency.js';
+import { Stock } from '../core/stock.js';
+import { t } from '../core/i18n.js';
+
+const FOCUSABLE = 'button:not([disabled]), [href], input:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+export class QuickView {
+    constructor(cart) {
+        this.cart = cart;
+        this.element = null;
+        this.listeners = [
+            delegate(document, 'click', '.quick-view-btn', (e, button) => {
+                e.preventDefault();
+                this.open(button.dataset.productId);
+            })
+        ];
+
+        const requested = new URLSearchParams(window.location.search).get('quickview');
+        if (requested) {
+            this.open(requested);
+        }
+    }
+
+    destroy() {
+        this.close();
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+    }
+
+    async open(productId) {
+        if (!productId) return;
+
+        this.close();
+        this.opener = document.activeElement;
+        this.productId = String(productId);
+        this.product = null;
+        this.selection = {};
+        this.render();
+        this.setUrlParam(this.productId);
+
+        let product;
+        try {
+            product = await AjaxManager.get(`${AppConfig.apiUrl}products/${encodeURIComponent(productId)}`, {}, { key: 'quick-view' });
+        } catch (error) {
+            if (error.aborted || !this.element) return;
+            setHtml(this.body, html`<p class="quick-view-error">${t('quick_view.failed')}</p>`);
+            return;
+        }
+
+        // Closed, or another product opened, while loading
+        if (!this.element || this.productId !== String(productId)) return;
+
+        this.product = product;
+        this.variants = Array.isArray(product.variants) ? product.variants : [];
+        // Options with a single value need no choosing
+        this.optionNames().forEach(name => {
+            const values = this.valuesOf(name);
+            if (values.length === 1) this.selection[name] = values[0];
+        });
+        this.renderProduct();
+    }
+
+    close() {
+        if (!this.element) return;
+
+        AjaxManager.abort('quick-view');
+        this.elementListeners.forEach(off => off());
+        this.element.remove();
+        this.element = null;
+        document.body.classList.remove('quick-view-open');
+        this.setUrlParam(null);
+
+        if (this.opener && typeof this.opener.focus === 'function' && document.contains(this.opener)) {
+            this.opener.focus();
+        }
+    }
+
+    // Keep ?quickview= in step with the open product, without adding history entries
+    setUrlParam(productId) {
+        const url = new URL(window.location.href);
+        if (productId) {
+            url.searchParams.set('quickview', productId);
+        } else {
+            url.searchParams.delete('quickview');
+        }
+        history.replaceState(history.state, '', url);
+    }
+
+    render() {
+        this.element = document.createElement('div');
+        this.element.className = 'quick-view';
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-modal', 'true');
+        this.element.setAttribute('aria-labelledby', 'quick-view-title');
+        setHtml(this.element, html`
+            <div class="quick-view-content">
+                <button type="button" class="btn-close quick-view-close" aria-label="${t('quick_view.close')}"></button>
+                <div class="quick-view-body">
+                    <p id="quick-view-title" class="quick-view-loading">${t('quick_view.loading')}</p>
+                </div>
+            </div>
+        `);
+        this.body = this.element.querySelector('.quick-view-body');
+
+        document.body.appendChild(this.element);
+        document.body.classList.add('quick-view-open');
+
+        this.elementListeners = [
+            listen(this.element.querySelector('.quick-view-close'), 'click', () => this.close()),
+            listen(this.element, 'click', (e) => {
+                // Click on the backdrop
+                if (e.target === this.element) this.close();
+            }),
+            listen(this.element, 'keydown', (e) => {
+                if (e.key === 'Escape') {
+                    this.close();
+                } else if (e.key === 'Tab') {
+                    this.trapFocus(e);
+                }
+            }),
+            delegate(this.element, 'change', '.quick-view-option', (e, input) => {
+                this.selection[input.dataset.option] = input.value;
+                this.updateOptions();
+                this.updatePurchase();
+            }),
+            delegate(this.element, 'change', '.quantity-input', () => this.updateStatus()),
+            delegate(this.element, 'submit', '.quick-view-form', (e) => {
+                e.preventDefault();
+                this.addToCart();
+            })
+        ];
+
+        this.element.querySelector('.quick-view-close').focus();
+    }
+
+    renderProduct() {
+        const product = this.product;
+        const images = (product.images || []).filter(image => image && image.src);
+
+        setHtml(this.body, html`
+            <div class="row g-4">
+                <div class="col-md-6">
+                    ${images.length > 0 && html`
+                        <div class="product-gallery quick-view-gallery">
+                            <img class="product-main-image img-fluid" src="${images[0].full || images[0].src}" alt="${images[0].alt || product.name}">
+                            <div class="product-thumbnails" ${images.length === 1 ? 'hidden' : ''}>
+                                ${images.map(image => html`
+                                    <img class="product-thumbnail" src="${image.src}" data-full-size="${image.full || image.src}" alt="${image.alt || product.name}">
+                                `)}
+                            </div>
+                        </div>
+                    `}
+                </div>
+                <div class="col-md-6">
+                    <h2 id="quick-view-title" class="h4">${product.name}</h2>
+                    <p class="quick-view-price"></p>
+                    ${product.description && html`<p class="text-muted">${product.description}</p>`}
+                    <form class="quick-view-form">
+                        ${this.optionNames().map(name => html`
+                            <fieldset class="quick-view-options mb-3">
+                                <legend class="form-label fs-6">${name}</legend>
+                                ${this.valuesOf(name).map(value => html`
+                                    <label class="quick-view-choice">
+                                        <input type="radio" class="quick-view-option" name="option-${name}" data-option="${name}" value="${value}"
+                                               ${this.selection[name] === value ? 'checked' : ''}>
+                                        <span>${value}</span>
+                                    </label>
+                                `)}
+                            </fieldset>
+                        `)}
+                        <p class="quick-view-stock" aria-live="polite"></p>
+                        <div class="d-flex gap-2 align-items-center">
+                            <div class="quantity-controls input-group quick-view-quantity">
+                                <button type="button" class="btn btn-outline-secondary quantity-minus" aria-label="${t('quick_view.decrease')}">&minus;</button>
+                                <input type="number" class="form-control quantity-input text-center" value="1" min="1" aria-label="${t('quick_view.quantity')}">
+                                <button type="button" class="btn btn-outline-secondary quantity-plus" aria-label="${t('quick_view.increase')}">+</button>
+                            </div>
+                            <button type="submit" class="btn btn-primary quick-view-add">
+                                <i class="fas fa-shopping-cart" aria-hidden="true"></i> ${t('listing.add_to_cart')}
+                            </button>
+                        </div>
+                    </form>
+                    <a href="/product/${encodeURIComponent(product.id)}" class="d-inline-block mt-3">${t('quick_view.details')}</a>
+                </div>
+            </div>
+        `);
+
+        this.updateOptions();
+        this.updatePurchase();
+    }
+
+    optionNames() {
+        const names = [];
+        this.variants.forEach(variant => Object.keys(variant.options || {}).forEach(name => {
+            if (!names.includes(name)) names.push(name);
+        }));
+        return names;
+    }
+
+    valuesOf(name) {
+        const values = [];
+        this.variants.forEach(variant => {
+            const value = variant.options?.[name];
+            if (value !== undefined && !values.includes(String(value))) values.push(String(value));
+        });
+        return values;
+    }
+
+    // Variants matching the current choices, ignoring the choice for `except`
+    matching(except = null) {
+        return this.variants.filter(variant => Object.entries(this.selection).every(([name, value]) =>
+            name === except || String(variant.options?.[name]) === value
+        ));
+    }
+
+    // The chosen variant, the product itself when it has none, or null while options are missing
+    selected() {
+        if (this.variants.length === 0) return this.product;
+        if (this.optionNames().some(name => this.selection[name] === undefined)) return null;
+        return this.matching()[0] || null;
+    }
+
+    // Values that no variant offers with the other choices are disabled; sold-out ones are marked
+    updateOptions() {
+        this.element.querySelectorAll('.quick-view-option').forEach(input => {
+            const candidates = this.matching(input.dataset.option)
+                .filter(variant => String(variant.options?.[input.dataset.option]) === input.value);
+            input.disabled = candidates.length === 0;
+            input.closest('.quick-view-choice').classList.toggle('is-sold-out',
+                candidates.length > 0 && candidates.every(variant => !Stock.orderable(this.rulesOf(variant))));
+        });
+    }
+
+    // Variants come with their own stock and ordering rules; the product's only
+    // stand in for a field a variant lacks
+    rulesOf(variant) {
+        return Stock.rules({ ...this.product, ...variant });
+    }
+
+    updatePurchase() {
+        const variant = this.selected();
+        const price = parseFloat(variant?.price ?? this.product.price) || 0;
+
+        setHtml(this.element.querySelector('.quick-view-price'),
+            html`<span class="product-price fs-4 fw-bold" data-component="price" data-price="${price}">${Currency.format(price)}</span>`);
+
+        this.element.querySelector('.quick-view-add').disabled = !variant || !Stock.orderable(this.rulesOf(variant));
+        if (variant) {
+            Stock.applyTo(this.element.querySelector('.quantity-input'), this.rulesOf(variant));
+        }
+        this.updateStatus();
+    }
+
+    updateStatus() {
+        const variant = this.selected();
+        const status = this.element.querySelector('.quick-view-stock');
+
+        if (!variant) {
+            const missing = this.optionNames().find(name => this.selection[name] === undefined);
+            status.textContent = missing ? t('quick_view.choose', { option: missing }) : t('quick_view.unavailable');
+            status.classList.remove('text-danger');
+            return;
+        }
+
+        const rules = this.rulesOf(variant);
+        const quantity = parseInt(this.element.querySelector('.quantity-input').value) || rules.min;
+        status.textContent = [Stock.message(rules, quantity), Stock.hint(rules)].filter(Boolean).join(' ');
+        status.classList.toggle('text-danger', !Stock.orderable(rules));
+    }
+
+    addToCart() {
+        const variant = this.selected();
+        if (!variant || !Stock.orderable(this.rulesOf(variant)) || !this.cart) return;
+
+        const product = this.product;
+        const labels = this.optionNames().map(name => this.selection[name]);
+        const name = labels.length > 0 ? `${product.name} (${labels.join(', ')})` : product.name;
+        const image = product.images?.[0]?.src || '';
+        const quantity = parseInt(this.element.querySelector('.quantity-input').value) || 1;
+
+        this.cart.addItem(variant.id ?? product.id, quantity, parseFloat(variant.price ?? product.price) || 0, name, image);
+        this.close();
+    }
+
+    trapFocus(e) {
+        const focusable = Array.from(this.element.querySelectorAll(FOCUSABLE));
+        if (focusable.length === 0) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
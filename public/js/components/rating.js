@@ -0,0 +1,59 @@
+/**
+ * Product rating stars
+ *
+ * RatingManager is the single owner of .rating-star inside a .rating-container.
+ */
+
+import { Utils } from '../core/utils.js';
+import { AjaxManager } from '../core/ajax.js';
+import { delegate } from '../core/dom.js';
+import { events } from '../core/events.js';
+import { t } from '../core/i18n.js';
+import { notify } from '../core/notifications.js';
+
+export class RatingManager {
+    constructor() {
+        this.listeners = [
+            delegate(document, 'click', '.rating-star', (e, star) => {
+                e.preventDefault();
+                this.rate(star);
+            })
+        ];
+    }
+
+    destroy() {
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+    }
+
+    async rate(star) {
+        const rating = parseInt(star.dataset.rating);
+        const productId = star.closest('.rating-container')?.dataset.productId;
+
+        // Update visual rating
+        star.parentNode.querySelectorAll('.rating-star').forEach((el, index) => {
+            el.classList.remove('fas', 'far');
+            el.classList.add(index < rating ? 'fas' : 'far');
+        });
+
+        try {
+            const response = await AjaxManager.postForm('/ajax/rate-product.php', Utils.toFormData({
+                product_id: productId,
+                rating: rating
+            }));
+
+            if (response.queued) {
+                // Sent by the service worker once back online
+                return;
+            }
+            if (response.success) {
+                events.emit('rating:submitted', { productId, rating });
+                notify(t('rating.thanks'), 'success');
+            } else {
+                notify(response.message, 'error');
+            }
+        } catch (error) {
+            console.error('Rating error:', error);
+        }
+    }
+}
@@ -0,0 +1,114 @@
+/**
+ * Recently viewed products
+ *
+ * Element component "view-tracker": mounted on product pages' galleries
+ * (.product-gallery[data-product-id]), it records the view with the gallery's
+ * data-product-name and data-product-price and its main image.
+ *
+ * Element component "recently-viewed": a rail of the recently viewed products
+ * with controls to clear the history or stop keeping it. It hides itself while
+ * there is nothing to show.
+ * - data-exclude   product id left out (the product of the current page)
+ * - data-limit     number of products shown (default: all that are kept)
+ */
+
+import { RecentlyViewed } from '../core/recently-viewed.js';
+import { TabSync } from '../core/tab-sync.js';
+import { events } from '../core/events.js';
+import { delegate } from '../core/dom.js';
+import { html, setHtml } from '../core/html.js';
+import { Currency } from '../core/currency.js';
+import { t } from '../core/i18n.js';
+
+export class ProductViewTracker {
+    constructor(gallery) {
+        const image = gallery.querySelector('.product-main-image');
+        RecentlyViewed.record({
+            id: gallery.dataset.productId,
+            name: gallery.dataset.productName || document.querySelector('h1')?.textContent.trim(),
+            price: gallery.dataset.productPrice,
+            image: image?.getAttribute('src') || '',
+            url: window.location.pathname + window.location.search
+        });
+    }
+}
+
+export class RecentlyViewedRail {
+    constructor(element) {
+        this.element = element;
+        this.exclude = element.dataset.exclude || null;
+        this.limit = parseInt(element.dataset.limit) || Infinity;
+
+        this.listeners = [
+            delegate(element, 'click', '.recently-viewed-prev', () => this.scroll(-1)),
+            delegate(element, 'click', '.recently-viewed-next', () => this.scroll(1)),
+            delegate(element, 'click', '.recently-viewed-clear', () => RecentlyViewed.clear()),
+            delegate(element, 'click', '.recently-viewed-toggle', () => {
+                RecentlyViewed.setEnabled(!RecentlyViewed.isEnabled());
+                this.element.querySelector('.recently-viewed-toggle')?.focus();
+            }),
+            events.on('recently-viewed:changed', () => this.render()),
+            TabSync.subscribe('recently-viewed', () => this.render())
+        ];
+
+        this.render();
+    }
+
+    destroy() {
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+    }
+
+    render() {
+        if (!RecentlyViewed.isEnabled()) {
+            this.element.hidden = false;
+            setHtml(this.element, html`
+                <p class="recently-viewed-off">
+                    ${t('recently_viewed.disabled')}
+                    <button type="button" class="btn btn-link btn-sm recently-viewed-toggle">${t('recently_viewed.enable')}</button>
+                </p>
+            `);
+            return;
+        }
+
+        const items = RecentlyViewed.list().filter(item => item.id !== this.exclude).slice(0, this.limit);
+        this.element.hidden = items.length === 0;
+        if (items.length === 0) {
+            setHtml(this.element, '');
+            return;
+        }
+
+        setHtml(this.element, html`
+            <div class="recently-viewed-header">
+                <h2 class="h4 mb-0">${t('recently_viewed.title')}</h2>
+                <div class="recently-viewed-controls">
+                    <button type="button" class="btn btn-outline-secondary btn-sm recently-viewed-prev" aria-label="${t('recently_viewed.previous')}">&#8249;</button>
+                    <button type="button" class="btn btn-outline-secondary btn-sm recently-viewed-next" aria-label="${t('recently_viewed.next')}">&#8250;</button>
+                    <button type="button" class="btn btn-link btn-sm recently-viewed-clear">${t('recently_viewed.clear')}</button>
+                    <button type="button" class="btn btn-link btn-sm recently-viewed-toggle">${t('recently_viewed.disable')}</button>
+                </div>
+            </div>
+            <ul class="recently-viewed-track">
+                ${items.map(item => html`
+                    <li class="recently-viewed-item">
+                        <a href="${item.url}" class="text-decoration-none">
+                            ${item.image && html`<img src="${item.image}" alt="" loading="lazy">`}
+                            <span class="recently-viewed-name">${item.name}</span>
+                        </a>
+                        ${item.price > 0 && html`<span class="product-price" data-component="price" data-price="${item.price}">${Currency.format(item.price)}</span>`}
+                    </li>
+                `)}
+            </ul>
+        `);
+    }
+
+    // Scroll the rail by one screenful; `direction` is -1 (back) or 1 (forward)
+    scroll(direction) {
+        const track = this.element.querySelector('.recently-viewed-track');
+        if (!track) return;
+
+        // Forward is towards the left in right-to-left layouts
+        const sign = getComputedStyle(track).direction === 'rtl' ? -1 : 1;
+        track.scrollBy({ left: direction * sign * track.clientWidth, behavior: 'smooth' });
+    }
+}
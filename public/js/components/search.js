@@ -0,0 +1,387 @@
+/**
+ * Product search
+ *
+ * SearchManager is the single owner of #search-input and #search-results and
+ * turns them into an autocomplete following the WAI-ARIA combobox pattern:
+ * the input is the combobox, #search-results the listbox, and the option under
+ * the keyboard cursor is announced through aria-activedescendant.
+ *
+ * Suggestions are grouped into recent searches, categories and products.
+ * Products come from GET /api/products/autocomplete?q=&limit= ([{id, name, price, image}]);
+ * categories are loaded once from GET /api/categories ([{id, name, product_count}])
+ * and matched locally.
+ *
+ * Keys: Down/Up move through the options, Enter opens the active option (or
+ * searches for the typed text), Escape closes the list and then clears the input,
+ * Delete removes the active recent search.
+ *
+ * Product suggestions are kept in an LRU cache (AppConfig.searchCacheSize entries,
+ * AppConfig.searchCacheTtl ms), so retyping a query does not hit the server. While
+ * a new query is loading, the cached results of its longest cached prefix are
+ * narrowed down locally and shown in the meantime. Focusing the empty input lists
+ * the recent searches, which are kept in localStorage.
+ */
+
+import { AppConfig } from '../core/config.js';
+import { Utils } from '../core/utils.js';
+import { AjaxManager } from '../core/ajax.js';
+import { listen, delegate } from '../core/dom.js';
+import { events } from '../core/events.js';
+import { LruCache } from '../core/lru-cache.js';
+import { html, setHtml } from '../core/html.js';
+import { t } from '../core/i18n.js';
+import { Currency } from '../core/currency.js';
+
+const RECENT_KEY = 'recent_searches';
+
+export class SearchManager {
+    constructor() {
+        this.searchInput = document.querySelector('#search-input');
+        this.searchResults = document.querySelector('#search-results');
+        this.searchForm = document.querySelector('#search-form');
+        this.listeners = [];
+        this.options = [];
+        this.activeIndex = -1;
+        this.categories = null;
+        this.cache = new LruCache({ maxEntries: AppConfig.searchCacheSize, ttl: AppConfig.searchCacheTtl });
+
+        if (this.searchInput && this.searchResults) {
+            this.init();
+        }
+    }
+
+    init() {
+        const input = this.searchInput;
+        const listbox = this.searchResults;
+
+        listbox.id = listbox.id || 'search-results';
+        listbox.setAttribute('role', 'listbox');
+        listbox.setAttribute('aria-label', t('search.suggestions'));
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-controls', listbox.id);
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('autocomplete', 'off');
+
+        // Debounced search as user types
+        this.listeners.push(listen(input, 'input', Utils.debounce(() => this.update(), AppConfig.debounceDelay)));
+        this.listeners.push(listen(input, 'keydown', (e) => this.handleKeydown(e)));
+        this.listeners.push(listen(input, 'focus', () => {
+            if (input.value.trim().length < 2) this.showRecent();
+        }));
+
+        // Handle form submission
+        if (this.searchForm) {
+            this.listeners.push(listen(this.searchForm, 'submit', (e) => {
+                e.preventDefault();
+                this.search(input.value.trim());
+            }));
+        }
+
+        // Remember what was picked; the option is a link, so the browser navigates
+        this.listeners.push(delegate(listbox, 'click', '[role="option"]', (e, option) => {
+            this.remember(option.dataset.query || input.value.trim());
+        }));
+        this.listeners.push(delegate(listbox, 'click', '.search-recent-remove', (e, button) => {
+            e.preventDefault();
+            this.forget(button.dataset.query);
+        }));
+        // Keep focus in the input while an option is pressed
+        this.listeners.push(delegate(listbox, 'mousedown', '[role="option"], .search-recent-remove', (e) => e.preventDefault()));
+
+        // Hide results when clicking or tabbing outside
+        this.listeners.push(listen(document, 'click', (e) => {
+            if (!e.target.closest('.search-container')) {
+                this.hideResults();
+            }
+        }));
+        this.listeners.push(listen(input, 'blur', () => this.hideResults()));
+    }
+
+    destroy() {
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+    }
+
+    async update() {
+        const query = this.searchInput.value.trim();
+        if (query.length < 2) {
+            this.showRecent();
+            return;
+        }
+        await this.performSearch(query);
+    }
+
+    async performSearch(query) {
+        const key = query.toLowerCase();
+
+        try {
+            const cached = this.cache.get(key);
+            if (cached) {
+                // Supersede a request still running for an older query
+                AjaxManager.abort('search');
+                this.showSuggestions(query, cached, await this.loadCategories());
+                return;
+            }
+
+            const partial = this.prefixResults(key);
+            if (partial) {
+                this.showSuggestions(query, partial, this.categories ? await this.loadCategories() : []);
+            } else {
+                this.showLoading();
+            }
+
+            // Only the newest search may render: typing again aborts the pending one
+            const [products, categories] = await Promise.all([
+                AjaxManager.get('/api/products/autocomplete', { q: query, limit: 8 }, { key: 'search' }),
+                this.loadCategories()
+            ]);
+            const results = Array.isArray(products) ? products : [];
+            this.cache.set(key, results);
+            this.showSuggestions(query, results, categories);
+        } catch (error) {
+            if (error.aborted) return;
+            console.error('Search error:', error);
+            this.hideResults();
+        }
+    }
+
+    // Cached products of the longest cached prefix of `key` that still match it
+    prefixResults(key) {
+        for (let length = key.length - 1; length >= 2; length--) {
+            const products = this.cache.get(key.slice(0, length));
+            if (products) {
+                return products.filter(product => String(product.name).toLowerCase().includes(key));
+            }
+        }
+        return null;
+    }
+
+    showSuggestions(query, products, categories) {
+        const lower = query.toLowerCase();
+        const results = {
+            recent: this.recentSearches().filter(recent => recent.toLowerCase().includes(lower) && recent !== query).slice(0, 3),
+            categories: categories.filter(category => category.name.toLowerCase().includes(lower)).slice(0, 4),
+            products
+        };
+        this.displayResults(query, results);
+        events.emit('search:results', { query, results: results.products, categories: results.categories });
+    }
+
+    // Recent searches on their own, for the empty input
+    showRecent() {
+        const recent = this.recentSearches();
+        if (recent.length === 0) {
+            this.hideResults();
+            return;
+        }
+        this.displayResults('', { recent, categories: [], products: [] });
+    }
+
+    // Categories rarely change, so they are fetched once per page
+    async loadCategories() {
+        if (!this.categories) {
+            this.categories = AjaxManager.get('/api/categories').catch(error => {
+                this.categories = null;
+                console.warn('Could not load categories:', error);
+                return [];
+            });
+        }
+        const categories = await this.categories;
+        return Array.isArray(categories) ? categories : [];
+    }
+
+    displayResults(query, { recent, categories, products }) {
+        const groups = [
+            {
+                label: t('search.recent'),
+                items: recent.map(text => ({
+                    href: `/products?search=${encodeURIComponent(text)}`,
+                    query: text,
+                    removable: true,
+                    content: html`<i class="fas fa-history search-option-icon" aria-hidden="true"></i>${this.highlight(text, query)}`
+                }))
+            },
+            {
+                label: t('search.categories'),
+                items: categories.map(category => ({
+                    href: `/category/${encodeURIComponent(category.id)}`,
+                    content: html`<i class="fas fa-folder search-option-icon" aria-hidden="true"></i>${this.highlight(category.name, query)}${
+                        category.product_count !== undefined && html`<span class="search-option-count">${category.product_count}</span>`}`
+                }))
+            },
+            {
+                label: t('search.products'),
+                items: products.map(product => ({
+                    href: `/product/${encodeURIComponent(product.id)}`,
+                    content: html`<img src="${product.image || '/public/images/placeholder.jpg'}" alt="" class="search-result-image">
+                        <span class="search-result-content">
+                            <span class="search-result-title">${this.highlight(product.name, query)}</span>
+                            <span class="search-result-price" data-component="price" data-price="${product.price}">${Currency.format(product.price)}</span>
+                        </span>`
+                }))
+            }
+        ].filter(group => group.items.length);
+
+        if (groups.length === 0) {
+            setHtml(this.searchResults, html`<div class="search-no-results" role="presentation">${t('search.no_results')}</div>`);
+        } else {
+            let index = 0;
+            setHtml(this.searchResults, groups.map((group, groupIndex) => html`
+                <div role="group" aria-labelledby="search-group-${groupIndex}" class="search-group">
+                    <div class="search-group-label" id="search-group-${groupIndex}" role="presentation">${group.label}</div>
+                    ${group.items.map(item => this.renderOption(item, index++))}
+                </div>
+            `));
+        }
+
+        this.options = Array.from(this.searchResults.querySelectorAll('[role="option"]'));
+        this.setActive(-1);
+        this.showResults();
+    }
+
+    renderOption(item, index) {
+        const option = html`<a href="${item.href}" id="search-option-${index}" class="search-result-item" role="option" aria-selected="false"
+            ${item.query && html`data-query="${item.query}"`} tabindex="-1">${item.content}</a>`;
+
+        if (!item.removable) return option;
+
+        return html`
+            <div class="search-recent-row" role="presentation">
+                ${option}
+                <button type="button" class="search-recent-remove" data-query="${item.query}" tabindex="-1"
+                        aria-label="${t('search.remove_recent', { query: item.query })}">&times;</button>
+            </div>
+        `;
+    }
+
+    // Text with every occurrence of the query wrapped in <mark>
+    highlight(text, query) {
+        const value = String(text ?? '');
+        const lower = value.toLowerCase();
+        const needle = query.toLowerCase();
+        if (!needle) return html`${value}`;
+
+        const parts = [];
+        let position = 0;
+        let match = lower.indexOf(needle);
+        while (match !== -1) {
+            parts.push(html`${value.slice(position, match)}<mark>${value.slice(match, match + needle.length)}</mark>`);
+            position = match + needle.length;
+            match = lower.indexOf(needle, position);
+        }
+        return html`${parts}${value.slice(position)}`;
+    }
+
+    handleKeydown(e) {
+        const open = this.isOpen();
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                e.preventDefault();
+                if (!open) {
+                    this.update();
+                    return;
+                }
+                if (this.options.length === 0) return;
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                // Wrap around, passing through "no option" (the typed text) in between
+                const next = this.activeIndex + step;
+                this.setActive(next < -1 ? this.options.length - 1 : (next >= this.options.length ? -1 : next));
+                break;
+            }
+            case 'Enter':
+                if (open && this.activeIndex >= 0) {
+                    e.preventDefault();
+                    this.options[this.activeIndex].click();
+                }
+                break;
+            case 'Delete': {
+                const option = open ? this.options[this.activeIndex] : null;
+                if (option?.closest('.search-recent-row')) {
+                    e.preventDefault();
+                    this.forget(option.dataset.query);
+                }
+                break;
+            }
+            case 'Escape':
+                if (open) {
+                    e.preventDefault();
+                    this.hideResults();
+                } else if (this.searchInput.value) {
+                    e.preventDefault();
+                    this.searchInput.value = '';
+                }
+                break;
+        }
+    }
+
+    setActive(index) {
+        this.options.forEach((option, i) => {
+            option.classList.toggle('active', i === index);
+            option.setAttribute('aria-selected', i === index ? 'true' : 'false');
+        });
+        this.activeIndex = index;
+
+        if (index >= 0) {
+            this.searchInput.setAttribute('aria-activedescendant', this.options[index].id);
+            this.options[index].scrollIntoView?.({ block: 'nearest' });
+        } else {
+            this.searchInput.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    search(query) {
+        if (!query) return;
+        this.remember(query);
+        window.location.href = `/products?search=${encodeURIComponent(query)}`;
+    }
+
+    recentSearches() {
+        return Utils.getStorage(RECENT_KEY) || [];
+    }
+
+    remember(query) {
+        if (!query) return;
+        const recent = this.recentSearches().filter(item => item.toLowerCase() !== query.toLowerCase());
+        Utils.setStorage(RECENT_KEY, [query, ...recent].slice(0, AppConfig.recentSearchesLimit));
+    }
+
+    forget(query) {
+        Utils.setStorage(RECENT_KEY, this.recentSearches().filter(item => item !== query));
+
+        const typed = this.searchInput.value.trim();
+        if (typed.length < 2) {
+            this.showRecent();
+        } else {
+            this.performSearch(typed);
+        }
+    }
+
+    isOpen() {
+        return this.searchInput.getAttribute('aria-expanded') === 'true';
+    }
+
+    showLoading() {
+        if (this.searchResults && !this.isOpen()) {
+            setHtml(this.searchResults, html`<div class="search-loading" role="presentation">${t('search.searching')}</div>`);
+            this.showResults();
+        }
+    }
+
+    showResults() {
+        this.searchResults.hidden = false;
+        this.searchResults.style.display = 'block';
+        this.searchInput.setAttribute('aria-expanded', 'true');
+    }
+
+    hideResults() {
+        if (!this.searchResults) return;
+        this.searchResults.hidden = true;
+        this.searchResults.style.display = 'none';
+        this.searchInput.setAttribute('aria-expanded', 'false');
+        this.options = [];
+        this.setActive(-1);
+    }
+}
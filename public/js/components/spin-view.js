@@ -0,0 +1,130 @@
+/**
+ * 360° spin view
+ *
+ * Turns an image into a turntable: dragging horizontally (or pressing
+ * Left/Right) steps through an ordered sequence of frames shot around the
+ * product. One drag across the full image width is one full turn. All frames
+ * are preloaded when the view starts so rotating never waits on the network.
+ */
+
+import { listen } from '../core/dom.js';
+import { t } from '../core/i18n.js';
+
+/**
+ * Read a data-spin-images value: a JSON array of URLs or a comma-separated list.
+ */
+export function parseFrames(value) {
+    const source = String(value || '').trim();
+    if (source.startsWith('[')) {
+        try {
+            return JSON.parse(source).map(String).filter(Boolean);
+        } catch (error) {
+            return [];
+        }
+    }
+    return source.split(',').map(url => url.trim()).filter(Boolean);
+}
+
+export class SpinView {
+    constructor(image, frames, { status = null } = {}) {
+        this.image = image;
+        this.frames = frames;
+        this.status = status;
+        this.frame = 0;
+        this.active = false;
+        this.listeners = [];
+    }
+
+    start() {
+        if (this.active || this.frames.length === 0) return;
+
+        this.active = true;
+        this.original = { src: this.image.src, alt: this.image.alt };
+        this.image.draggable = false;
+        this.image.classList.add('is-spinning');
+
+        this.listeners.push(
+            listen(this.image, 'pointerdown', (e) => this.handlePointerDown(e)),
+            listen(this.image, 'pointermove', (e) => this.handlePointerMove(e)),
+            listen(this.image, 'pointerup', (e) => this.handlePointerUp(e)),
+            listen(this.image, 'pointercancel', (e) => this.handlePointerUp(e))
+        );
+
+        this.preload();
+        this.show(this.frame);
+    }
+
+    stop() {
+        if (!this.active) return;
+
+        this.active = false;
+        this.drag = null;
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+        this.image.classList.remove('is-spinning', 'is-dragging');
+        this.image.removeAttribute('draggable');
+        this.image.src = this.original.src;
+        this.image.alt = this.original.alt;
+        this.setStatus('');
+    }
+
+    show(frame) {
+        const count = this.frames.length;
+        this.frame = ((frame % count) + count) % count;
+        this.image.src = this.frames[this.frame];
+        this.image.alt = t('gallery.spin_frame', { alt: this.original.alt, number: this.frame + 1, count });
+    }
+
+    rotate(step) {
+        if (this.active) this.show(this.frame + step);
+    }
+
+    preload() {
+        let loaded = 0;
+        const count = this.frames.length;
+        this.setStatus(t('gallery.spin_loading', { loaded: 0, count }));
+
+        this.frames.forEach(url => {
+            const frame = new Image();
+            frame.onload = frame.onerror = () => {
+                loaded++;
+                if (!this.active) return;
+                this.setStatus(loaded < count ? t('gallery.spin_loading', { loaded, count }) : t('gallery.spin_hint'));
+            };
+            frame.src = url;
+        });
+    }
+
+    setStatus(message) {
+        if (this.status) this.status.textContent = message;
+    }
+
+    handlePointerDown(e) {
+        if (e.button !== 0) return;
+
+        e.preventDefault();
+        this.image.setPointerCapture?.(e.pointerId);
+        this.image.classList.add('is-dragging');
+        this.drag = { pointerId: e.pointerId, startX: e.clientX, startFrame: this.frame };
+    }
+
+    handlePointerMove(e) {
+        if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+
+        const width = this.image.getBoundingClientRect().width || this.image.offsetWidth || 1;
+        const pixelsPerFrame = Math.max(4, width / this.frames.length);
+        const steps = Math.round((e.clientX - this.drag.startX) / pixelsPerFrame);
+
+        // Dragging left advances through the sequence
+        if (this.drag.startFrame - steps !== this.frame) {
+            this.show(this.drag.startFrame - steps);
+        }
+    }
+
+    handlePointerUp(e) {
+        if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+
+        this.drag = null;
+        this.image.classList.remove('is-dragging');
+    }
+}
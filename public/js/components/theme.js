@@ -0,0 +1,41 @@
+/**
+ * Theme management
+ */
+
+import { Utils } from '../core/utils.js';
+import { events } from '../core/events.js';
+
+export class ThemeManager {
+    constructor() {
+        this.currentTheme = Utils.getStorage('theme') || 'light';
+        this.init();
+    }
+
+    init() {
+        this.applyTheme(this.currentTheme);
+        
+        const themeToggle = document.querySelector('.theme-toggle');
+        if (themeToggle) {
+            themeToggle.addEventListener('click', () => {
+                this.toggleTheme();
+            });
+        }
+    }
+
+    toggleTheme() {
+        const previous = this.currentTheme;
+        this.currentTheme = this.currentTheme === 'light' ? 'dark' : 'light';
+        this.applyTheme(this.currentTheme);
+        Utils.setStorage('theme', this.currentTheme);
+        events.emit('theme:changed', { theme: this.currentTheme, previous });
+    }
+
+    applyTheme(theme) {
+        document.documentElement.setAttribute('data-theme', theme);
+        
+        const themeIcon = document.querySelector('.theme-toggle i');
+        if (themeIcon) {
+            themeIcon.className = theme === 'light' ? 'fas fa-moon' : 'fas fa-sun';
+        }
+    }
+}
@@ -0,0 +1,110 @@
+/**
+ * Page-level UI enhancements
+ *
+ * Bootstrap widgets, lazy images, scroll animations, smooth anchor scrolling
+ * and the back-to-top button. Bootstrap's JS is optional: without it only the
+ * Bootstrap widget setup is skipped.
+ */
+
+import { listen, delegate } from '../core/dom.js';
+
+export class PageEnhancements {
+    constructor() {
+        this.listeners = [];
+        this.observers = [];
+
+        this.initBootstrap();
+        this.initLazyLoading();
+        this.initScrollAnimations();
+        this.initSmoothScrolling();
+        this.initBackToTop();
+    }
+
+    destroy() {
+        this.listeners.forEach(off => off());
+        this.observers.forEach(observer => observer.disconnect());
+        this.listeners = [];
+        this.observers = [];
+    }
+
+    initBootstrap() {
+        if (typeof bootstrap === 'undefined') return;
+
+        document.querySelectorAll('[data-bs-toggle="tooltip"]').forEach(el => bootstrap.Tooltip.getOrCreateInstance(el));
+        document.querySelectorAll('[data-bs-toggle="popover"]').forEach(el => bootstrap.Popover.getOrCreateInstance(el));
+        document.querySelectorAll('.carousel').forEach(el => bootstrap.Carousel.getOrCreateInstance(el));
+
+        this.listeners.push(delegate(document, 'click', '.nav-tabs a', (e, link) => {
+            e.preventDefault();
+            bootstrap.Tab.getOrCreateInstance(link).show();
+        }));
+
+        // Auto-hide alerts
+        setTimeout(() => {
+            document.querySelectorAll('.alert.auto-hide').forEach(el => bootstrap.Alert.getOrCreateInstance(el).close());
+        }, 5000);
+    }
+
+    initLazyLoading() {
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    const img = entry.target;
+                    img.src = img.dataset.src;
+                    img.classList.remove('lazy');
+                    observer.unobserve(img);
+                }
+            });
+        });
+
+        document.querySelectorAll('img[data-src]').forEach(img => observer.observe(img));
+        this.observers.push(observer);
+    }
+
+    initScrollAnimations() {
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.classList.add('animate');
+                }
+            });
+        });
+
+        document.querySelectorAll('.animate-on-scroll').forEach(el => observer.observe(el));
+        this.observers.push(observer);
+    }
+
+    // Smooth scrolling for anchor links
+    initSmoothScrolling() {
+        this.listeners.push(delegate(document, 'click', 'a[href^="#"]', (e, anchor) => {
+            const href = anchor.getAttribute('href');
+            if (href === '#' || anchor.hasAttribute('data-bs-toggle')) return;
+
+            const target = document.querySelector(href);
+            if (target) {
+                e.preventDefault();
+                target.scrollIntoView({
+                    behavior: 'smooth',
+                    block: 'start'
+                });
+            }
+        }));
+    }
+
+    initBackToTop() {
+        const backToTop = document.querySelector('.back-to-top');
+        if (!backToTop) return;
+
+        this.listeners.push(
+            listen(window, 'scroll', () => {
+                backToTop.style.display = window.pageYOffset > 300 ? 'block' : 'none';
+            }),
+            listen(backToTop, 'click', () => {
+                window.scrollTo({
+                    top: 0,
+                    behavior: 'smooth'
+                });
+            })
+        );
+    }
+}
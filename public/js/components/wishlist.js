@@ -0,0 +1,94 @@
+/**
+ * Wishlist buttons
+ *
+ * WishlistManager is the single owner of .wishlist-btn. Toggles are broadcast
+ * to the other open tabs so every copy of a button shows the same state, and
+ * can be undone for a few seconds before they are sent (core/undo.js).
+ */
+
+import { AppConfig } from '../core/config.js';
+import { Utils } from '../core/utils.js';
+import { TabSync } from '../core/tab-sync.js';
+import { AjaxManager } from '../core/ajax.js';
+import { delegate } from '../core/dom.js';
+import { events } from '../core/events.js';
+import { t } from '../core/i18n.js';
+import { notify } from '../core/notifications.js';
+import { undoable } from '../core/undo.js';
+
+export class WishlistManager {
+    constructor() {
+        // productId => PendingChange of a toggle that can still be undone
+        this.pending = new Map();
+        this.listeners = [
+            delegate(document, 'click', '.wishlist-btn', (e, button) => {
+                e.preventDefault();
+                this.toggle(button.dataset.productId);
+            }),
+            TabSync.subscribe('wishlist', (data) => {
+                this.setState(data.productId, data.inWishlist);
+            })
+        ];
+    }
+
+    destroy() {
+        this.listeners.forEach(off => off());
+        this.listeners = [];
+    }
+
+    // Toggle at once and offer to undo; /wishlist/add or /wishlist/remove is only called
+    // once the undo window has passed. Clicking again within the window undoes the toggle.
+    toggle(productId) {
+        if (!AppConfig.userId) {
+            notify(t('wishlist.login_required'), 'warning');
+            return;
+        }
+
+        const pendingChange = this.pending.get(productId);
+        if (pendingChange) {
+            pendingChange.undo();
+            return;
+        }
+
+        const inWishlist = !this.isInWishlist(productId);
+        const revert = () => {
+            this.pending.delete(productId);
+            this.apply(productId, !inWishlist);
+        };
+
+        this.apply(productId, inWishlist);
+        this.pending.set(productId, undoable(inWishlist ? t('wishlist.added') : t('wishlist.removed'), {
+            type: inWishlist ? 'success' : 'info',
+            undo: revert,
+            commit: () => AjaxManager.postForm(
+                `${AppConfig.wishlistUrl}/${inWishlist ? 'add' : 'remove'}`,
+                Utils.toFormData({ product_id: productId }),
+                { keepalive: true }
+            ),
+            done: () => this.pending.delete(productId),
+            rollback: () => {
+                revert();
+                notify(t('wishlist.update_failed'), 'error');
+            }
+        }));
+    }
+
+    // Show a toggle on this page's buttons and in the other tabs, and tell subscribers
+    apply(productId, inWishlist) {
+        this.setState(productId, inWishlist);
+        TabSync.publish('wishlist', { productId, inWishlist });
+        events.emit('wishlist:toggled', { productId, inWishlist });
+    }
+
+    isInWishlist(productId) {
+        return !!document.querySelector(`.wishlist-btn[data-product-id="${productId}"]`)?.classList.contains('in-wishlist');
+    }
+
+    // Update every wishlist button for a product (there may be several per page)
+    setState(productId, inWishlist) {
+        document.querySelectorAll(`.wishlist-btn[data-product-id="${productId}"]`).forEach(button => {
+            button.classList.toggle('in-wishlist', !!inWishlist);
+            button.innerHTML = inWishlist ? '<i class="fas fa-heart"></i>' : '<i class="far fa-heart"></i>';
+        });
+    }
+}
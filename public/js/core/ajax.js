@@ -0,0 +1,216 @@
+/**
+ * AJAX wrapper
+ *
+ * Options accepted by AjaxManager.request() on top of the regular fetch options:
+ * - timeout:    per-attempt timeout in ms
+ * - retries:    extra attempts for retryable failures (GET/HEAD only, default AppConfig.ajaxRetries)
+ * - retryDelay: base backoff delay in ms, doubled after every attempt
+ * - signal:     caller AbortSignal; aborting rejects with an AjaxError whose `aborted` is true
+ * - key:        "latest wins" key; starting a request with the same key aborts the previous one
+ * - dedupe:     share the in-flight promise of an identical GET (default true)
+ */
+
+import { AppConfig } from './config.js';
+
+// Error raised by AjaxManager for failed, timed-out or aborted requests.
+// `data` is the parsed response body (JSON when the server sent JSON) and
+// `errors` the field errors ({field: message}) from a validation response.
+export class AjaxError extends Error {
+    constructor(message, { status = 0, data = null, url = '', aborted = false, timedOut = false } = {}) {
+        super(message);
+        this.name = 'AjaxError';
+        this.status = status;
+        this.data = data;
+        this.errors = (data && typeof data === 'object' && data.errors) || {};
+        this.url = url;
+        this.aborted = aborted;
+        this.timedOut = timedOut;
+    }
+
+    // Network failures, timeouts and 408/429/5xx responses are worth retrying
+    get isRetryable() {
+        if (this.aborted) return false;
+        return this.timedOut || this.status === 0 || this.status === 408 || this.status === 429 || this.status >= 500;
+    }
+}
+
+export class AjaxManager {
+    static inFlight = new Map();
+    static latest = new Map();
+    static errorHandlers = [];
+
+    // Register a handler called with every AjaxError except cancellations
+    static onError(handler) {
+        this.errorHandlers.push(handler);
+        return () => {
+            this.errorHandlers = this.errorHandlers.filter(h => h !== handler);
+        };
+    }
+
+    // Abort the pending "latest wins" request registered under `key`, if any
+    static abort(key) {
+        this.latest.get(key)?.abort();
+        this.latest.delete(key);
+    }
+
+    static async request(url, options = {}) {
+        const {
+            timeout = AppConfig.ajaxTimeout,
+            retries,
+            retryDelay = AppConfig.ajaxRetryDelay,
+            signal,
+            key,
+            dedupe = true,
+            ...fetchOptions
+        } = options;
+
+        const config = {
+            method: 'GET',
+            ...fetchOptions,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': AppConfig.csrf_token,
+                'X-Requested-With': 'XMLHttpRequest',
+                ...(fetchOptions.headers || {})
+            }
+        };
+        config.method = config.method.toUpperCase();
+        Object.keys(config.headers).forEach(name => {
+            if (config.headers[name] === undefined) delete config.headers[name];
+        });
+
+        const idempotent = config.method === 'GET' || config.method === 'HEAD';
+        const maxRetries = idempotent ? (retries ?? AppConfig.ajaxRetries) : 0;
+
+        // "Latest wins": supersede the previous request registered under this key
+        let keyController = null;
+        if (key) {
+            this.latest.get(key)?.abort();
+            keyController = new AbortController();
+            this.latest.set(key, keyController);
+        }
+        const signals = [signal, keyController?.signal].filter(Boolean);
+
+        // Identical idempotent requests without their own cancellation share one promise
+        const dedupeKey = idempotent && dedupe && signals.length === 0 ? `${config.method} ${url}` : null;
+        if (dedupeKey && this.inFlight.has(dedupeKey)) {
+            return this.inFlight.get(dedupeKey);
+        }
+
+        const promise = this.attempt(url, config, { timeout, maxRetries, retryDelay, signals })
+            .catch(error => {
+                if (!error.aborted) {
+                    this.errorHandlers.forEach(handler => handler(error));
+                }
+                throw error;
+            })
+            .finally(() => {
+                if (dedupeKey) this.inFlight.delete(dedupeKey);
+                if (key && this.latest.get(key) === keyController) this.latest.delete(key);
+            });
+
+        if (dedupeKey) {
+            this.inFlight.set(dedupeKey, promise);
+        }
+        return promise;
+    }
+
+    static async attempt(url, config, { timeout, maxRetries, retryDelay, signals }) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(url, config, timeout, signals);
+            } catch (error) {
+                if (!(error instanceof AjaxError) || !error.isRetryable || attempt >= maxRetries) {
+                    throw error;
+                }
+                await this.wait(retryDelay * Math.pow(2, attempt), signals, url);
+            }
+        }
+    }
+
+    static async send(url, config, timeout, signals) {
+        const controller = new AbortController();
+        let timedOut = false;
+        const timeoutId = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const abort = () => controller.abort();
+
+        signals.forEach(signal => {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', abort);
+        });
+
+        try {
+            const response = await fetch(url, { ...config, signal: controller.signal });
+
+            const contentType = response.headers.get('content-type');
+            const data = contentType && contentType.includes('application/json')
+                ? await response.json().catch(() => null)
+                : await response.text();
+
+            if (!response.ok) {
+                const message = (data && data.message) || `HTTP error! status: ${response.status}`;
+                throw new AjaxError(message, { status: response.status, data, url });
+            }
+
+            return data;
+        } catch (error) {
+            if (error instanceof AjaxError) {
+                throw error;
+            }
+            if (error.name === 'AbortError') {
+                throw timedOut
+                    ? new AjaxError('Request timeout', { url, timedOut: true })
+                    : new AjaxError('Request aborted', { url, aborted: true });
+            }
+            throw new AjaxError(error.message || 'Network error', { url });
+        } finally {
+            clearTimeout(timeoutId);
+            signals.forEach(signal => signal.removeEventListener('abort', abort));
+        }
+    }
+
+    // Backoff delay that still honours cancellation
+    static wait(ms, signals, url) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new AjaxError('Request aborted', { url, aborted: true }));
+            };
+            const timer = setTimeout(() => {
+                signals.forEach(signal => signal.removeEventListener('abort', onAbort));
+                resolve();
+            }, ms);
+            signals.forEach(signal => {
+                if (signal.aborted) onAbort();
+                signal.addEventListener('abort', onAbort);
+            });
+        });
+    }
+
+    static async get(url, params = {}, options = {}) {
+        const urlParams = new URLSearchParams(params);
+        const fullUrl = urlParams.toString() ? `${url}?${urlParams}` : url;
+        return this.request(fullUrl, options);
+    }
+
+    static async post(url, data = {}, options = {}) {
+        return this.request(url, {
+            ...options,
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    }
+
+    static async postForm(url, formData, options = {}) {
+        return this.request(url, {
+            ...options,
+            method: 'POST',
+            body: formData,
+            // Let the browser set the multipart boundary
+            headers: { 'Content-Type': undefined }
+        });
+    }
+}
@@ -0,0 +1,34 @@
+/**
+ * Global application configuration
+ *
+ * Values that come from the server are read from <meta> tags rendered by
+ * views/layouts/default.php.
+ */
+
+const meta = (name) => document.querySelector(`meta[name="${name}"]`)?.getAttribute('content') || '';
+
+export const AppConfig = {
+    apiUrl: '/api/',
+    ajaxTimeout: 30000,
+    ajaxRetries: 2,
+    ajaxRetryDelay: 500,
+    debounceDelay: 300,
+    recentSearchesLimit: 5,
+    searchCacheSize: 50,
+    searchCacheTtl: 5 * 60 * 1000, // 5 minutes
+    animationSpeed: 300,
+    maxFileSize: 10 * 1024 * 1024, // 10MB
+    allowedImageTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+    passwordMinScore: 2, // 0-4, see components/password-strength.js
+    csrf_token: meta('csrf-token'),
+    locale: meta('locale') || document.documentElement.lang || 'en-US',
+    currency: meta('currency') || 'USD',
+    userId: meta('user-id') || null,
+    cartUrl: '/cart',
+    wishlistUrl: '/wishlist',
+    undoDelay: 5000, // how long removals can be undone before they are sent
+    compareLimit: 4,
+    recentlyViewedLimit: 12,
+    lowStockThreshold: 5, // stock at or below this shows "only N left"
+    serviceWorkerUrl: '/sw.js'
+};
@@ -0,0 +1,99 @@
+/**
+ * Display currency
+ *
+ * Prices are stored, rendered by the server and charged in the store currency
+ * (i18n.currency). Buyers can choose another currency to view them in; prices
+ * are then converted with the exchange rates of config/currency-rates.json,
+ * embedded by the layout as <script type="application/json" id="currency-rates">:
+ *
+ *     { "base": "USD", "rates": { "USD": 1, "EUR": 0.92, ... } }
+ *
+ * Rates are relative to `base`, which need not be the store currency. The
+ * choice is kept in localStorage; changing it emits currency:changed.
+ */
+
+import { events } from './events.js';
+import { i18n } from './i18n.js';
+import { Utils } from './utils.js';
+
+const STORAGE_KEY = 'display_currency';
+
+let table = null;
+
+function load() {
+    if (table === null) {
+        const script = document.getElementById('currency-rates');
+        try {
+            table = script ? JSON.parse(script.textContent) : {};
+        } catch (error) {
+            console.warn('Invalid currency rates:', error);
+            table = {};
+        }
+        table.rates = table.rates || {};
+    }
+    return table;
+}
+
+export const Currency = {
+    get store() {
+        return i18n.currency;
+    },
+
+    // Currencies prices can be shown in
+    codes() {
+        const codes = Object.keys(load().rates);
+        return codes.includes(this.store) ? codes : [this.store, ...codes];
+    },
+
+    has(code) {
+        return code === this.store || Object.prototype.hasOwnProperty.call(load().rates, code);
+    },
+
+    get display() {
+        const chosen = Utils.getStorage(STORAGE_KEY);
+        return chosen && this.has(chosen) ? chosen : this.store;
+    },
+
+    setDisplay(code) {
+        if (!this.has(code)) return;
+
+        const previous = this.display;
+        Utils.setStorage(STORAGE_KEY, code);
+        if (code !== previous) {
+            events.emit('currency:changed', { currency: code, previous });
+        }
+    },
+
+    isConverted() {
+        return this.display !== this.store;
+    },
+
+    // Convert an amount in the store currency; null when a rate is missing
+    convert(amount, to = this.display) {
+        if (to === this.store) return amount;
+
+        const rates = load().rates;
+        const from = rates[this.store];
+        const rate = rates[to];
+        if (!from || !rate) return null;
+        return amount / from * rate;
+    },
+
+    // A store-currency amount formatted in the display currency (or the store
+    // currency if it cannot be converted)
+    format(amount) {
+        const converted = this.convert(amount);
+        return converted === null
+            ? i18n.formatCurrency(amount, this.store)
+            : i18n.formatCurrency(converted, this.display);
+    },
+
+    formatStore(amount) {
+        return i18n.formatCurrency(amount, this.store);
+    },
+
+    // Replace the embedded rates, e.g. with fresher ones from the server
+    use(rates) {
+        table = { ...rates, rates: rates?.rates || {} };
+    }
+};
@@ -0,0 +1,33 @@
+/**
+ * DOM helpers
+ *
+ * Small replacements for the jQuery features the application relied on.
+ * Every listener helper returns a function that removes the listener again,
+ * so components can clean up after themselves in destroy().
+ */
+
+// Add a listener and return its remover
+export function listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    return () => target.removeEventListener(type, handler, options);
+}
+
+// Delegated listener, the equivalent of $(root).on(type, selector, handler).
+// The handler receives the event and the element matching `selector`.
+export function delegate(root, type, selector, handler) {
+    return listen(root, type, (e) => {
+        const match = e.target instanceof Element ? e.target.closest(selector) : null;
+        if (match && root.contains(match)) {
+            handler(e, match);
+        }
+    });
+}
+
+// Run a callback once the DOM is parsed
+export function ready(callback) {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', callback, { once: true });
+    } else {
+        callback();
+    }
+}
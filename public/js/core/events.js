@@ -0,0 +1,77 @@
+/**
+ * Application event bus
+ *
+ * Integrations (analytics, promo widgets, ...) subscribe here instead of
+ * patching component methods:
+ *
+ *     App.events.on('cart:item-added', ({ item }) => track('add_to_cart', item));
+ *
+ * Events and their payloads:
+ * - cart:item-added    { item, quantity }   item after the add, quantity that was added
+ * - cart:item-removed  { item }             the removed item
+ * - cart:item-restored { item }             a removal was undone (or refused by the server)
+ * - cart:item-updated  { item }             item with its new quantity
+ * - cart:cleared       {}
+ * - cart:changed       { items, count, total, source }
+ *                      after any cart change; source is 'local', 'server' or 'tab'
+ * - search:results     { query, results, categories }   results are the suggested products
+ * - filters:applied    { params, total, listing }   after the listing was updated for new filters;
+ *                      listing is the JSON listing response
+ * - wishlist:toggled   { productId, inWishlist }
+ * - compare:changed    { items }             products in the compare tray: [{ id, name, image }]
+ * - recently-viewed:changed { items, enabled }   a product view was recorded, or the history cleared or turned off
+ * - stock:updated      { productId, rules }  the server reported a product's stock and ordering rules (core/stock.js)
+ * - rating:submitted   { productId, rating }
+ * - theme:changed      { theme, previous }
+ * - currency:changed   { currency, previous }   the buyer picked another display currency
+ * - connection:changed { online }          the browser went offline or came back online
+ * - offline:queued     { url }               a POST made offline was stored by the service worker
+ * - offline:replayed   { sent, failed }      the stored POSTs were sent
+ * - notification:history { history, unread } a notification was recorded or the history was read or cleared
+ *
+ * Cart items have the shape { productId, quantity, price, name, image, addedAt }.
+ * A failing handler is logged and does not affect the other handlers.
+ */
+
+export class EventBus {
+    constructor() {
+        this.handlers = new Map();
+    }
+
+    // Subscribe to an event; returns a function that unsubscribes
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    once(type, handler) {
+        const off = this.on(type, (payload) => {
+            off();
+            handler(payload);
+        });
+        return off;
+    }
+
+    off(type, handler) {
+        this.handlers.get(type)?.delete(handler);
+    }
+
+    emit(type, payload = {}) {
+        const handlers = this.handlers.get(type);
+        if (!handlers) return;
+
+        Array.from(handlers).forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error in "${type}" handler:`, error);
+            }
+        });
+    }
+}
+
+// Shared instance, exposed to other scripts as App.events
+export const events = new EventBus();
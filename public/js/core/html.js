@@ -0,0 +1,61 @@
+/**
+ * Safe HTML templating
+ *
+ * Every value interpolated into an html`` template is escaped, so product
+ * names, descriptions and server messages always render as text:
+ *
+ *     setHtml(list, html`<li class="item">${product.name}</li>`);
+ *
+ * Nested html`` templates (and arrays of them) are inserted as markup. Markup
+ * from a trusted source, such as HTML rendered by our own PHP views, must be
+ * opted into explicitly with raw(). setHtml() and appendHtml() escape plain
+ * strings too, so forgetting the tag never injects markup.
+ */
+
+export class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+const ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"'`]/g, char => ENTITIES[char]);
+}
+
+// Trusted markup, inserted as is
+export function raw(markup) {
+    return new SafeHtml(String(markup ?? ''));
+}
+
+function toMarkup(value) {
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(toMarkup).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+export function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((markup, string, i) => markup + string + (i < values.length ? toMarkup(values[i]) : ''), ''));
+}
+
+// Replace the content of `element` with a template (plain strings are escaped)
+export function setHtml(element, template) {
+    element.innerHTML = toMarkup(template);
+}
+
+export function appendHtml(element, template, position = 'beforeend') {
+    element.insertAdjacentHTML(position, toMarkup(template));
+}
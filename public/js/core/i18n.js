@@ -0,0 +1,106 @@
+/**
+ * Internationalization
+ *
+ * UI messages come from config/lang/<language>.json, embedded by the layouts as
+ * <script type="application/json" id="i18n-messages"> (English, overridden by
+ * the visitor's language). The locale and currency come from the locale and
+ * currency <meta> tags, which follow the user's profile.
+ *
+ *     t('cart.added', { name: 'Phone' })     // "Phone added to cart!"
+ *     t('cart.item_count', { count: 3 })     // "3 items in cart"
+ *
+ * A message whose value is an object is pluralized: the entry for the
+ * Intl.PluralRules category of `count` ("one", "few", "other", ...) is used,
+ * falling back to "other". Numbers passed as parameters are formatted for the
+ * locale. An unknown key is returned as is.
+ */
+
+import { AppConfig } from './config.js';
+
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+let catalog = null;
+
+function load() {
+    if (catalog === null) {
+        const script = document.getElementById('i18n-messages');
+        try {
+            catalog = script ? JSON.parse(script.textContent) : {};
+        } catch (error) {
+            console.warn('Invalid message catalog:', error);
+            catalog = {};
+        }
+    }
+    return catalog;
+}
+
+// Intl throws on malformed locales; fall back to English rather than breaking the page
+function supported(locale) {
+    try {
+        return Intl.getCanonicalLocales(locale)[0] || 'en-US';
+    } catch (error) {
+        console.warn(`Unsupported locale "${locale}"`);
+        return 'en-US';
+    }
+}
+
+export const i18n = {
+    locale: supported(AppConfig.locale),
+    currency: AppConfig.currency,
+
+    get language() {
+        return this.locale.split('-')[0].toLowerCase();
+    },
+
+    get dir() {
+        return RTL_LANGUAGES.includes(this.language) ? 'rtl' : 'ltr';
+    },
+
+    t(key, params = {}) {
+        let message = lookup(key);
+        if (message === undefined) {
+            console.warn(`Missing translation "${key}"`);
+            return key;
+        }
+
+        if (message && typeof message === 'object') {
+            const category = new Intl.PluralRules(this.locale).select(Number(params.count) || 0);
+            message = message[category] ?? message.other ?? '';
+        }
+
+        return String(message).replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (!(name in params)) return placeholder;
+            const value = params[name];
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    },
+
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    },
+
+    formatCurrency(amount, currency = this.currency) {
+        return new Intl.NumberFormat(this.locale, { style: 'currency', currency }).format(amount);
+    },
+
+    formatDate(date, options = {}) {
+        const defaultOptions = { year: 'numeric', month: 'long', day: 'numeric' };
+        return new Intl.DateTimeFormat(this.locale, { ...defaultOptions, ...options }).format(new Date(date));
+    },
+
+    // Switch locale, currency or messages at runtime, e.g. with a catalog fetched from the server
+    use({ locale, currency, messages } = {}) {
+        if (locale) this.locale = supported(locale);
+        if (currency) this.currency = currency;
+        if (messages) catalog = messages;
+        document.documentElement.lang = this.locale;
+        document.documentElement.dir = this.dir;
+    }
+};
+
+// Nested lookup of a dotted key ("cart.added")
+function lookup(key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), load());
+}
+
+export const t = (key, params) => i18n.t(key, params);
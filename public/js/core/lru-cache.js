@@ -0,0 +1,52 @@
+/**
+ * Least-recently-used cache with expiry
+ *
+ * Holds at most `maxEntries` values; adding one more evicts the entry that was
+ * read or written longest ago. Entries older than `ttl` ms are treated as absent.
+ */
+
+export class LruCache {
+    constructor({ maxEntries = 50, ttl = 5 * 60 * 1000 } = {}) {
+        this.maxEntries = maxEntries;
+        this.ttl = ttl;
+        // Map keeps insertion order, so the first key is the least recently used
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        if (Date.now() - entry.storedAt > this.ttl) {
+            this.entries.delete(key);
+            return undefined;
+        }
+
+        // Move to the most recently used end
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    has(key) {
+        return this.get(key) !== undefined;
+    }
+
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, storedAt: Date.now() });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return this;
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
@@ -0,0 +1,242 @@
+/**
+ * Notifications
+ *
+ * Every toast goes through the shared notification center:
+ *
+ *     notify(t('cart.added', { name }), 'success');
+ *     notify(t('cart.removed'), 'info', { action: { label: t('notifications.undo'), onClick: restore } });
+ *
+ * At most `maxVisible` toasts are on screen; later ones wait in a queue and
+ * appear as earlier ones close. Each toast has its own timer, paused while it
+ * is hovered or focused (`duration: 0` keeps it until it is closed).
+ * `onDismiss(reason)` is called when the toast goes away, with reason 'action',
+ * 'closed' (by the user), 'timeout' or 'dismissed' (by the caller). Messages
+ * are announced through ARIA live regions, errors assertively, and recorded in
+ * a history kept in localStorage for the notification panel. `message` is
+ * text; pass an html`` template for markup.
+ */
+
+import { html, setHtml, SafeHtml } from './html.js';
+import { events } from './events.js';
+import { listen } from './dom.js';
+import { t } from './i18n.js';
+import { Utils } from './utils.js';
+
+const HISTORY_KEY = 'notification_history';
+
+// Notification type => Bootstrap contextual colour
+const COLORS = {
+    success: 'success',
+    error: 'danger',
+    warning: 'warning',
+    info: 'info'
+};
+
+// Plain text of a message, for announcements and the history
+function textOf(message) {
+    if (!(message instanceof SafeHtml)) return String(message ?? '');
+
+    const template = document.createElement('template');
+    template.innerHTML = message.toString();
+    return template.content.textContent.replace(/\s+/g, ' ').trim();
+}
+
+export class NotificationCenter {
+    constructor({ maxVisible = 3, historySize = 50 } = {}) {
+        this.maxVisible = maxVisible;
+        this.historySize = historySize;
+        this.visible = [];
+        this.queue = [];
+        this.container = null;
+        this.regions = null;
+        this.counter = 0;
+    }
+
+    // Show a notification; returns a handle whose dismiss() closes it or drops it from the queue
+    show(message, type = 'info', { duration = 5000, action = null, onDismiss = null } = {}) {
+        const notification = {
+            id: `${Date.now()}-${++this.counter}`,
+            message,
+            text: textOf(message),
+            type: COLORS[type] ? type : 'info',
+            duration,
+            action,
+            onDismiss
+        };
+
+        this.record(notification);
+
+        if (this.visible.length < this.maxVisible) {
+            this.display(notification);
+        } else {
+            this.queue.push(notification);
+        }
+
+        return { id: notification.id, dismiss: () => this.dismiss(notification.id) };
+    }
+
+    display(notification) {
+        const toast = document.createElement('div');
+        toast.className = `toast align-items-center text-white bg-${COLORS[notification.type]} border-0 show`;
+        toast.dataset.notificationId = notification.id;
+        setHtml(toast, html`
+            <div class="d-flex">
+                <div class="toast-body">${notification.message}</div>
+                ${notification.action ? html`<button type="button" class="btn btn-sm btn-light toast-action my-auto">${notification.action.label}</button>` : ''}
+                <button type="button" class="btn-close btn-close-white me-2 m-auto" aria-label="${t('notifications.close')}"></button>
+            </div>
+        `);
+
+        notification.element = toast;
+        notification.remaining = notification.duration;
+        notification.paused = new Set();
+        notification.listeners = [
+            listen(toast.querySelector('.btn-close'), 'click', () => this.dismiss(notification.id, 'closed')),
+            listen(toast, 'pointerenter', () => this.pause(notification, 'hover')),
+            listen(toast, 'pointerleave', () => this.resume(notification, 'hover')),
+            listen(toast, 'focusin', () => this.pause(notification, 'focus')),
+            listen(toast, 'focusout', (e) => {
+                if (!toast.contains(e.relatedTarget)) {
+                    this.resume(notification, 'focus');
+                }
+            })
+        ];
+
+        const actionButton = toast.querySelector('.toast-action');
+        if (actionButton) {
+            notification.listeners.push(listen(actionButton, 'click', () => {
+                this.dismiss(notification.id, 'action');
+                notification.action.onClick();
+            }));
+        }
+
+        this.getContainer().appendChild(toast);
+        this.visible.push(notification);
+        this.announce(notification);
+        this.startTimer(notification);
+    }
+
+    dismiss(id, reason = 'dismissed') {
+        const queued = this.queue.find(notification => notification.id === id);
+        if (queued) {
+            this.queue = this.queue.filter(notification => notification !== queued);
+            queued.onDismiss?.(reason);
+            return;
+        }
+
+        const notification = this.visible.find(notification => notification.id === id);
+        if (!notification) return;
+
+        clearTimeout(notification.timer);
+        notification.listeners.forEach(off => off());
+        notification.element.remove();
+        this.visible = this.visible.filter(visible => visible !== notification);
+        notification.onDismiss?.(reason);
+
+        if (this.queue.length > 0) {
+            this.display(this.queue.shift());
+        }
+    }
+
+    startTimer(notification) {
+        if (!notification.duration) return;
+
+        notification.startedAt = Date.now();
+        notification.timer = setTimeout(() => this.dismiss(notification.id, 'timeout'), notification.remaining);
+    }
+
+    // `reason` is 'hover' or 'focus'; the timer runs again once neither applies
+    pause(notification, reason) {
+        if (notification.paused.size === 0 && notification.duration) {
+            clearTimeout(notification.timer);
+            notification.remaining -= Date.now() - notification.startedAt;
+        }
+        notification.paused.add(reason);
+    }
+
+    resume(notification, reason) {
+        if (!notification.paused.delete(reason) || notification.paused.size > 0) return;
+        this.startTimer(notification);
+    }
+
+    getContainer() {
+        if (!this.container || !this.container.isConnected) {
+            this.container = document.getElementById('toast-container');
+        }
+        if (!this.container) {
+            this.container = document.createElement('div');
+            this.container.id = 'toast-container';
+            this.container.className = 'toast-container position-fixed top-0 end-0 p-3';
+            this.container.style.zIndex = '1055';
+            this.container.setAttribute('role', 'region');
+            this.container.setAttribute('aria-label', t('notifications.label'));
+            document.body.appendChild(this.container);
+        }
+        return this.container;
+    }
+
+    // Screen readers only pick up changes to a live region that is already in the page
+    announce(notification) {
+        if (!this.regions || !this.regions.polite.isConnected) {
+            this.regions = {
+                polite: this.createRegion('status', 'polite'),
+                assertive: this.createRegion('alert', 'assertive')
+            };
+        }
+
+        const region = notification.type === 'error' ? this.regions.assertive : this.regions.polite;
+        region.textContent = '';
+        // Cleared first so the same message twice in a row is announced twice
+        setTimeout(() => {
+            region.textContent = notification.text;
+        }, 100);
+    }
+
+    createRegion(role, live) {
+        const region = document.createElement('div');
+        region.className = 'visually-hidden';
+        region.setAttribute('role', role);
+        region.setAttribute('aria-live', live);
+        region.setAttribute('aria-atomic', 'true');
+        document.body.appendChild(region);
+        return region;
+    }
+
+    // History, newest first: [{ id, text, type, createdAt, read }]
+    history() {
+        return Utils.getStorage(HISTORY_KEY) || [];
+    }
+
+    unreadCount() {
+        return this.history().filter(entry => !entry.read).length;
+    }
+
+    markAllRead() {
+        this.saveHistory(this.history().map(entry => ({ ...entry, read: true })));
+    }
+
+    clearHistory() {
+        this.saveHistory([]);
+    }
+
+    record(notification) {
+        const entry = {
+            id: notification.id,
+            text: notification.text,
+            type: notification.type,
+            createdAt: new Date().toISOString(),
+            read: false
+        };
+        this.saveHistory([entry, ...this.history()].slice(0, this.historySize));
+    }
+
+    saveHistory(history) {
+        Utils.setStorage(HISTORY_KEY, history);
+        events.emit('notification:history', { history, unread: history.filter(entry => !entry.read).length });
+    }
+}
+
+// Shared instance, exposed to other scripts as App.notifications
+export const notifications = new NotificationCenter();
+
+export const notify = (message, type, options) => notifications.show(message, type, options);
@@ -0,0 +1,66 @@
+/**
+ * Recently viewed products
+ *
+ * The product pages the visitor opened, newest first, kept in this browser
+ * only: [{ id, name, price, image, url, viewedAt }]. A product viewed again
+ * moves back to the front, and only the latest AppConfig.recentlyViewedLimit
+ * are kept. Visitors can turn the history off, which also clears it. Changes
+ * emit recently-viewed:changed and reach the other tabs through TabSync.
+ */
+
+import { AppConfig } from './config.js';
+import { Utils } from './utils.js';
+import { TabSync } from './tab-sync.js';
+import { events } from './events.js';
+
+const STORAGE_KEY = 'recently_viewed';
+const DISABLED_KEY = 'recently_viewed_disabled';
+
+export const RecentlyViewed = {
+    list() {
+        return Utils.getStorage(STORAGE_KEY) || [];
+    },
+
+    isEnabled() {
+        return !Utils.getStorage(DISABLED_KEY);
+    },
+
+    record(product) {
+        if (!this.isEnabled() || !product.id) return;
+
+        const id = String(product.id);
+        const entry = {
+            id,
+            name: product.name || '',
+            price: parseFloat(product.price) || 0,
+            image: product.image || '',
+            url: product.url || `/product/${encodeURIComponent(id)}`,
+            viewedAt: new Date().toISOString()
+        };
+        this.save([entry, ...this.list().filter(item => item.id !== id)].slice(0, AppConfig.recentlyViewedLimit));
+    },
+
+    remove(productId) {
+        this.save(this.list().filter(item => item.id !== String(productId)));
+    },
+
+    clear() {
+        this.save([]);
+    },
+
+    // Turning the history off forgets what was recorded so far
+    setEnabled(enabled) {
+        Utils.setStorage(DISABLED_KEY, enabled ? null : true);
+        if (enabled) {
+            this.save(this.list());
+        } else {
+            this.clear();
+        }
+    },
+
+    save(items) {
+        Utils.setStorage(STORAGE_KEY, items);
+        TabSync.publish('recently-viewed');
+        events.emit('recently-viewed:changed', { items, enabled: this.isEnabled() });
+    }
+};
@@ -0,0 +1,170 @@
+/**
+ * Component registry
+ *
+ * Every behaviour of the storefront (cart, search, wishlist, rating, filters, ...)
+ * is registered here exactly once under a unique name, so no two pieces of code
+ * bind the same elements. A component is a factory returning an instance; if the
+ * instance has a destroy() method it is called when the component is stopped.
+ *
+ * Element components are defined with define() and mounted on every element that
+ * declares them, e.g. <div data-component="gallery">. Several components can be
+ * listed, separated by spaces. Once observe() is called, elements inserted later
+ * (AJAX content, modals) are mounted and removed elements are destroyed.
+ */
+
+export class ComponentRegistry {
+    constructor() {
+        this.factories = new Map();
+        this.instances = new Map();
+        this.definitions = new Map();
+        this.mounted = new WeakMap();
+        this.observer = null;
+    }
+
+    register(name, factory) {
+        if (this.factories.has(name)) {
+            throw new Error(`Component "${name}" is already registered`);
+        }
+        this.factories.set(name, factory);
+        return this;
+    }
+
+    // Start one component; starting a running component returns the existing instance
+    start(name) {
+        if (this.instances.has(name)) {
+            return this.instances.get(name);
+        }
+
+        const factory = this.factories.get(name);
+        if (!factory) {
+            throw new Error(`Unknown component "${name}"`);
+        }
+
+        const instance = factory(this);
+        this.instances.set(name, instance);
+        return instance;
+    }
+
+    // Start every registered component; one failing component does not stop the others
+    startAll() {
+        for (const name of this.factories.keys()) {
+            try {
+                this.start(name);
+            } catch (error) {
+                console.error(`Failed to start component "${name}":`, error);
+            }
+        }
+    }
+
+    stop(name) {
+        const instance = this.instances.get(name);
+        if (instance && typeof instance.destroy === 'function') {
+            instance.destroy();
+        }
+        this.instances.delete(name);
+    }
+
+    get(name) {
+        return this.instances.get(name);
+    }
+
+    // Define an element component. `mount(element, registry)` returns the instance.
+    // `options.selector` also mounts the component on legacy markup without data-component.
+    define(name, mount, options = {}) {
+        if (this.definitions.has(name)) {
+            throw new Error(`Element component "${name}" is already defined`);
+        }
+        this.definitions.set(name, { mount, selector: options.selector || null });
+        return this;
+    }
+
+    // Mount every declared component inside `root` (and on root itself)
+    mount(root = document) {
+        for (const [name, definition] of this.definitions) {
+            const selector = this.selectorFor(name, definition);
+            const elements = Array.from(root.querySelectorAll ? root.querySelectorAll(selector) : []);
+            if (root instanceof Element && root.matches(selector)) {
+                elements.unshift(root);
+            }
+
+            elements.forEach(element => this.mountElement(element, name, definition));
+        }
+    }
+
+    mountElement(element, name, definition) {
+        let components = this.mounted.get(element);
+        if (components && components.has(name)) return;
+
+        try {
+            const instance = definition.mount(element, this);
+            if (!components) {
+                components = new Map();
+                this.mounted.set(element, components);
+            }
+            components.set(name, instance);
+        } catch (error) {
+            console.error(`Failed to mount component "${name}":`, error, element);
+        }
+    }
+
+    // Destroy every component mounted inside `root` (and on root itself)
+    unmount(root) {
+        const elements = root.querySelectorAll ? Array.from(root.querySelectorAll('*')) : [];
+        if (root instanceof Element) {
+            elements.unshift(root);
+        }
+
+        elements.forEach(element => {
+            const components = this.mounted.get(element);
+            if (!components) return;
+
+            components.forEach((instance, name) => {
+                try {
+                    if (instance && typeof instance.destroy === 'function') {
+                        instance.destroy();
+                    }
+                } catch (error) {
+                    console.error(`Failed to destroy component "${name}":`, error, element);
+                }
+            });
+            this.mounted.delete(element);
+        });
+    }
+
+    // Instance of component `name` mounted on `element`, if any
+    instanceOf(element, name) {
+        return this.mounted.get(element)?.get(name);
+    }
+
+    // Keep the page in sync with DOM changes
+    observe(root = document.body) {
+        if (this.observer) return;
+
+        this.observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                mutation.removedNodes.forEach(node => {
+                    // Nodes that were only moved are still in the document
+                    if (node.nodeType === Node.ELEMENT_NODE && !node.isConnected) {
+                        this.unmount(node);
+                    }
+                });
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+                        this.mount(node);
+                    }
+                });
+            });
+        });
+        this.observer.observe(root, { childList: true, subtree: true });
+    }
+
+    disconnect() {
+        this.observer?.disconnect();
+        this.observer = null;
+    }
+
+    selectorFor(name, definition) {
+        const declared = `[data-component~="${name}"]`;
+        return definition.selector ? `${declared}, ${definition.selector}` : declared;
+    }
+}
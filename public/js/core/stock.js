@@ -0,0 +1,125 @@
+/**
+ * Stock and order quantities
+ *
+ * How many of a product can be ordered, from the product's stock and ordering
+ * rules as the API reports them (GET /api/products/{id}/stock, also part of the
+ * product details):
+ *
+ *     { stock_quantity, manage_stock, allow_backorders,
+ *       min_order_quantity, order_quantity_step, max_order_quantity }
+ *
+ * rules() turns such a product into { stock, manageStock, backorder, min, step, max }.
+ * Quantities start at `min` and go up by `step`; they stop at `max` and, unless
+ * the product can be backordered, at the stock.
+ */
+
+import { AppConfig } from './config.js';
+import { AjaxManager } from './ajax.js';
+import { events } from './events.js';
+import { t } from './i18n.js';
+
+// MySQL booleans arrive as 0/1 or "0"/"1"
+function flag(value, fallback) {
+    if (value === undefined || value === null) return fallback;
+    return value === true || value === 1 || value === '1';
+}
+
+export const Stock = {
+    // productId => the rules last fetched
+    known: new Map(),
+
+    rules(product) {
+        const stock = parseInt(product.stock_quantity);
+        return {
+            stock: isNaN(stock) ? null : stock,
+            manageStock: flag(product.manage_stock, true),
+            backorder: flag(product.allow_backorders, false),
+            min: Math.max(1, parseInt(product.min_order_quantity) || 1),
+            step: Math.max(1, parseInt(product.order_quantity_step) || 1),
+            max: parseInt(product.max_order_quantity) || null
+        };
+    },
+
+    // Fetch the current rules of a product; emits stock:updated
+    async fetch(productId) {
+        const response = await AjaxManager.get(`${AppConfig.apiUrl}products/${encodeURIComponent(productId)}/stock`);
+        const rules = this.rules(response);
+        this.known.set(String(productId), rules);
+        events.emit('stock:updated', { productId: String(productId), rules });
+        return rules;
+    },
+
+    // The rules last fetched for a product, or null when it has not been fetched yet
+    cached(productId) {
+        return this.known.get(String(productId)) || null;
+    },
+
+    // Largest quantity that can be ordered, or null when there is no limit
+    limit(rules) {
+        const limits = [rules.max];
+        if (rules.manageStock !== false && !rules.backorder && rules.stock !== null && rules.stock !== undefined) {
+            limits.push(Math.max(0, rules.stock));
+        }
+        const set = limits.filter(limit => limit !== null && limit !== undefined);
+        return set.length > 0 ? Math.min(...set) : null;
+    },
+
+    // Nearest quantity the rules allow: raised to the minimum, rounded up to a
+    // whole step, then lowered to the limit. 0 when nothing can be ordered.
+    clamp(quantity, rules) {
+        const min = rules.min || 1;
+        const step = rules.step || 1;
+        const limit = this.limit(rules);
+
+        let value = min + Math.ceil(Math.max(0, quantity - min) / step) * step;
+        if (limit !== null && value > limit) {
+            value = min + Math.floor((limit - min) / step) * step;
+        }
+        return limit !== null && (value > limit || value < min) ? 0 : value;
+    },
+
+    orderable(rules) {
+        return this.clamp(rules.min || 1, rules) > 0;
+    },
+
+    // Availability of `quantity` units, '' when the product's stock is not tracked
+    message(rules, quantity = 1) {
+        if (rules.manageStock === false || rules.stock === null || rules.stock === undefined) return '';
+
+        if (rules.stock <= 0) {
+            return rules.backorder ? t('stock.backorder') : t('stock.out_of_stock');
+        }
+        if (rules.backorder && quantity > rules.stock) {
+            return t('stock.partly_backorder', { count: rules.stock });
+        }
+        if (rules.stock <= AppConfig.lowStockThreshold) {
+            return t('stock.low', { count: rules.stock });
+        }
+        return t('stock.in_stock');
+    },
+
+    // How the product is sold, '' when it is sold one by one
+    hint(rules) {
+        if (rules.step > 1) return t('stock.step', { step: rules.step, min: rules.min });
+        if (rules.min > 1) return t('stock.min', { count: rules.min });
+        return '';
+    },
+
+    // Give a quantity input the rules' min, step and max and bring its value within them.
+    // A change event tells the quantity stepper and other listeners when the value moved.
+    applyTo(input, rules) {
+        const limit = this.limit(rules);
+        input.min = rules.min;
+        input.step = rules.step;
+        if (limit === null) {
+            input.removeAttribute('max');
+        } else {
+            input.max = Math.max(limit, rules.min);
+        }
+        const value = String(this.clamp(parseInt(input.value) || rules.min, rules) || rules.min);
+        if (input.value !== value) {
+            input.value = value;
+            input.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+    }
+};
@@ -0,0 +1,61 @@
+/**
+ * Cross-tab messaging
+ *
+ * Uses BroadcastChannel where available and falls back to the `storage` event,
+ * which fires in every other tab of the same origin when localStorage changes.
+ */
+
+export const TabSync = {
+    channelName: 'app-sync',
+    storageKey: '__tab_sync',
+    handlers: {},
+    channel: null,
+
+    init: function() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.channelName);
+            this.channel.addEventListener('message', (e) => this.dispatch(e.data));
+        } else {
+            window.addEventListener('storage', (e) => {
+                if (e.key === this.storageKey && e.newValue) {
+                    try {
+                        this.dispatch(JSON.parse(e.newValue));
+                    } catch (error) {
+                        console.warn('Ignoring malformed tab sync message:', error);
+                    }
+                }
+            });
+        }
+    },
+
+    // Notify the other tabs; the sending tab does not receive its own messages
+    publish: function(topic, data = {}) {
+        const message = { topic, data, sentAt: Date.now() };
+        if (this.channel) {
+            this.channel.postMessage(message);
+        } else {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(message));
+            } catch (e) {
+                console.warn('Could not broadcast to other tabs:', e);
+            }
+        }
+    },
+
+    subscribe: function(topic, handler) {
+        if (!this.handlers[topic]) {
+            this.handlers[topic] = [];
+        }
+        this.handlers[topic].push(handler);
+        return () => {
+            this.handlers[topic] = this.handlers[topic].filter(h => h !== handler);
+        };
+    },
+
+    dispatch: function(message) {
+        if (!message || !this.handlers[message.topic]) return;
+        this.handlers[message.topic].forEach(handler => handler(message.data));
+    }
+};
+
+TabSync.init();
@@ -0,0 +1,85 @@
+/**
+ * Undoable changes
+ *
+ * The change is applied locally at once and a toast offers to undo it. The
+ * server is only told once the toast goes away (its timer ran out or it was
+ * closed). `done` gets the response the server accepted; if the server refuses
+ * instead, `rollback` puts the local state back:
+ *
+ *     undoable(t('cart.removed'), {
+ *         undo: () => restore(item),
+ *         commit: () => AjaxManager.postForm('/cart/remove', Utils.toFormData({ product_id })),
+ *         done: (response) => adopt(response.items),
+ *         rollback: () => restore(item)
+ *     });
+ *
+ * `commit` returns the server response (or a promise of it); a response with
+ * success: false (unless queued by the service worker) or a rejection counts
+ * as a refusal. Changes still waiting when the page is left are committed
+ * right away.
+ */
+
+import { AppConfig } from './config.js';
+import { notify } from './notifications.js';
+import { t } from './i18n.js';
+
+const pending = new Set();
+
+export class PendingChange {
+    constructor(message, { undo, commit, done, rollback, type = 'info', delay = AppConfig.undoDelay }) {
+        this.handlers = { undo, commit, done, rollback };
+        this.settled = false;
+        pending.add(this);
+
+        this.toast = notify(message, type, {
+            duration: delay,
+            action: { label: t('notifications.undo'), onClick: () => this.undo() },
+            onDismiss: (reason) => {
+                if (reason !== 'action') this.commit();
+            }
+        });
+    }
+
+    undo() {
+        if (!this.settle()) return;
+        this.handlers.undo();
+    }
+
+    // Send the change now; resolves with true once the server accepted it
+    async commit() {
+        if (!this.settle()) return false;
+
+        let response;
+        try {
+            response = await this.handlers.commit();
+            if (!response || !(response.success || response.queued)) {
+                throw new Error(response?.message || 'Change rejected');
+            }
+        } catch (error) {
+            console.warn('Undoable change failed, rolling back:', error);
+            this.handlers.rollback?.(error);
+            return false;
+        }
+
+        this.handlers.done?.(response);
+        return true;
+    }
+
+    // Mark the change as handled; false if it already was
+    settle() {
+        if (this.settled) return false;
+        this.settled = true;
+        pending.delete(this);
+        this.toast.dismiss();
+        return true;
+    }
+}
+
+export const undoable = (message, handlers) => new PendingChange(message, handlers);
+
+// Commit everything still waiting, e.g. before the page goes away
+export function flushPending() {
+    return Promise.all(Array.from(pending, change => change.commit()));
+}
+
+window.addEventListener('pagehide', () => flushPending());
@@ -0,0 +1,74 @@
+/**
+ * Utility functions shared by all components
+ */
+
+import { i18n } from './i18n.js';
+import { html, setHtml } from './html.js';
+
+export const Utils = {
+    // Debounce function for search and other frequent operations
+    debounce: function(func, wait, immediate) {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                timeout = null;
+                if (!immediate) func(...args);
+            };
+            const callNow = immediate && !timeout;
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+            if (callNow) func(...args);
+        };
+    },
+
+    // Format currency for the visitor's locale, in their currency unless given
+    formatCurrency: function(amount, currency) {
+        return i18n.formatCurrency(amount, currency);
+    },
+
+    // Format date for the visitor's locale
+    formatDate: function(date, options = {}) {
+        return i18n.formatDate(date, options);
+    },
+
+    // Loading spinner
+    showLoading: function(element) {
+        if (element) {
+            setHtml(element, html`<div class="spinner-border spinner-border-sm" role="status"><span class="visually-hidden">${i18n.t('app.loading')}</span></div>`);
+            element.disabled = true;
+        }
+    },
+
+    hideLoading: function(element, originalText) {
+        if (element) {
+            element.innerHTML = originalText;
+            element.disabled = false;
+        }
+    },
+
+    // Local storage helpers
+    setStorage: function(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (e) {
+            console.warn('Could not save to localStorage:', e);
+        }
+    },
+
+    getStorage: function(key) {
+        try {
+            const item = localStorage.getItem(key);
+            return item ? JSON.parse(item) : null;
+        } catch (e) {
+            console.warn('Could not retrieve from localStorage:', e);
+            return null;
+        }
+    },
+
+    // Build FormData from a plain object, for endpoints that read $_POST
+    toFormData: function(data) {
+        const formData = new FormData();
+        Object.entries(data).forEach(([key, value]) => formData.append(key, value));
+        return formData;
+    }
+};
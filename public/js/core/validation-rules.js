@@ -0,0 +1,90 @@
+/**
+ * Validation rules shared with the server
+ *
+ * config/validation-rules.json is embedded by the layouts as
+ * <script type="application/json" id="validation-rules"> and evaluated here
+ * the same way classes/Validator.php evaluates it: a blank value reports the
+ * rule's `required` message (or passes when it is null), otherwise the checks
+ * run in order and the first failing one gives the message. Unknown rules and
+ * check types are errors on both sides. tests/fixtures/validation-parity.json
+ * holds the cases both implementations are tested against.
+ */
+
+let manifest = null;
+
+function load() {
+    if (manifest === null) {
+        const script = document.getElementById('validation-rules');
+        try {
+            manifest = script ? JSON.parse(script.textContent) : {};
+        } catch (error) {
+            console.warn('Invalid validation rules:', error);
+            manifest = {};
+        }
+    }
+    return manifest;
+}
+
+// Lengths count code points and patterns use the "u" flag, like mb_strlen and /u in PHP
+const length = (value) => [...value].length;
+const patterns = new Map();
+const regex = (source) => {
+    if (!patterns.has(source)) patterns.set(source, new RegExp(source, 'u'));
+    return patterns.get(source);
+};
+
+const checks = {
+    minLength: (check, value) => length(value) >= check.value,
+    maxLength: (check, value) => length(value) <= check.value,
+    pattern: (check, value) => regex(check.value).test(value),
+    notPattern: (check, value) => !regex(check.value).test(value),
+    digits: (check, value) => {
+        const digits = value.replace(/[^0-9]/g, '').length;
+        return digits >= check.min && digits <= check.max;
+    }
+};
+
+export const ValidationRules = {
+    has(name) {
+        return Object.prototype.hasOwnProperty.call(load(), name);
+    },
+
+    get(name) {
+        return this.has(name) ? load()[name] : null;
+    },
+
+    // Message for an empty value, or null when the field is optional
+    requiredMessage(name) {
+        return this.get(name)?.required || null;
+    },
+
+    // Error message for `value`, or null when it is valid. Check has() first: unknown rules throw.
+    check(name, value) {
+        const rule = this.get(name);
+        if (!rule) {
+            throw new Error(`Unknown validation rule: ${name}`);
+        }
+
+        value = value == null ? '' : String(value);
+        // trim() strips the same whitespace as Validator::JS_WHITESPACE
+        if (value.trim() === '') {
+            return rule.required || null;
+        }
+
+        for (const check of rule.checks) {
+            const passes = checks[check.type];
+            if (!passes) {
+                throw new Error(`Unknown validation check: ${check.type}`);
+            }
+            if (!passes(check, value)) return check.message;
+        }
+
+        return null;
+    },
+
+    // Replace the embedded manifest, e.g. with one fetched from the server
+    use(rules) {
+        manifest = rules || {};
+        patterns.clear();
+    }
+};
@@ -154,6 +154,8 @@ $router->get('/admin/reports/users', 'AdminController@usersReport', ['auth', 'ad
 
 // API routes for AJAX requests
 $router->get('/api/products/autocomplete', 'ApiController@productAutocomplete');
+$router->get('/api/products/{id}', 'ApiController@product');
+$router->get('/api/products/{id}/stock', 'ApiController@productStock');
 $router->get('/api/categories', 'ApiController@categories');
 $router->post('/api/reviews', 'ApiController@submitReview', ['auth']);
 
@@ -0,0 +1,316 @@
+/**
+ * Service worker
+ *
+ * Lives at the site root so its scope covers every page. Registered by
+ * public/js/components/offline.js.
+ *
+ * - precaches the application shell (style.css, app.js, the manifest)
+ * - serves the shell and the other scripts and stylesheets under /public/
+ *   network-first, falling back to the cached copy offline: the modules import
+ *   each other without a version in their URLs, so a cached copy could mix
+ *   with a newer deploy
+ * - serves the product listings (/products, /category/{id}) network-first as
+ *   well, so visited catalog pages work offline: they embed the signed-in user
+ *   and the CSRF token, so a cached copy is only shown when the network fails
+ * - serves /api/categories stale-while-revalidate: from the cache when
+ *   possible, refreshing the copy in the background
+ * - answers other navigations made offline with an offline page, in the
+ *   language of the last page that sent its texts
+ * - queues cart, wishlist and review POSTs made while offline in IndexedDB and
+ *   replays them in order once the connection is back (Background Sync, or a
+ *   "replay" message from the page where Background Sync is not supported)
+ *
+ * Messages from the pages:
+ * - { type: 'replay' }                  replay the queue now
+ * - { type: 'clear-pages' }             drop the cached pages
+ * - { type: 'offline-page', lang, dir, title, heading, text, link, queued }
+ *                                       texts of the offline page and queue answers
+ *
+ * Messages sent to the pages:
+ * - { type: 'queued', url }             a POST was stored for later
+ * - { type: 'replayed', sent, failed }  the queue was replayed
+ *
+ * Bumping VERSION drops every cache on the next visit.
+ */
+
+const VERSION = 'v3';
+const SHELL_CACHE = `shell-${VERSION}`;
+const ASSET_CACHE = `assets-${VERSION}`;
+const PAGE_CACHE = `pages-${VERSION}`;
+
+const SHELL = [
+    '/public/css/style.css',
+    '/public/js/app.js',
+    '/public/manifest.webmanifest'
+];
+
+// Catalog pages worth showing offline
+const CACHED_PAGES = [
+    /^\/products\/?$/,
+    /^\/category\/\d+\/?$/
+];
+
+// Data that is the same for every user
+const CACHED_DATA = [
+    /^\/api\/categories$/
+];
+
+// POSTs that are queued while offline
+const QUEUED_POSTS = [
+    /^\/cart\/(add|update|remove|clear)$/,
+    /^\/wishlist\/(add|remove)$/,
+    /^\/ajax\/toggle-wishlist\.php$/,
+    /^\/ajax\/rate-product\.php$/,
+    /^\/api\/reviews$/
+];
+
+// Cache key of the texts sent in the 'offline-page' message
+const TEXTS_KEY = '/__offline-texts';
+
+// Used until a page has sent its texts
+const DEFAULT_TEXTS = {
+    lang: 'en',
+    dir: 'ltr',
+    title: 'Offline',
+    heading: 'You are offline',
+    text: 'This page has not been saved for offline use. Pages you have visited are still available.',
+    link: 'Browse the product catalog',
+    queued: 'You are offline. This change will be sent when you are back online.'
+};
+
+const SYNC_TAG = 'replay-queue';
+const DB_NAME = 'offline-queue';
+const STORE = 'requests';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, ASSET_CACHE, PAGE_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => !current.includes(key)).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.method === 'POST') {
+        if (request.mode !== 'navigate' && matches(QUEUED_POSTS, url.pathname)) {
+            event.respondWith(sendOrQueue(request));
+        }
+        return;
+    }
+    if (request.method !== 'GET') return;
+
+    if (SHELL.includes(url.pathname)) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    } else if (url.pathname.startsWith('/public/') && /\.(js|css)$/.test(url.pathname)) {
+        event.respondWith(networkFirst(request, ASSET_CACHE));
+    } else if (matches(CACHED_PAGES, url.pathname)) {
+        event.respondWith(networkFirst(request, PAGE_CACHE));
+    } else if (matches(CACHED_DATA, url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event, PAGE_CACHE));
+    } else if (request.mode === 'navigate') {
+        event.respondWith(fetch(request).catch(() => offlinePage()));
+    }
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(replayQueue());
+    }
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+    if (message.type === 'replay') {
+        event.waitUntil(replayQueue());
+    } else if (message.type === 'clear-pages') {
+        // A different user signed in: cached pages show the previous user's navbar
+        event.waitUntil(caches.delete(PAGE_CACHE));
+    } else if (message.type === 'offline-page') {
+        event.waitUntil(saveTexts(message));
+    }
+});
+
+function matches(patterns, pathname) {
+    return patterns.some(pattern => pattern.test(pathname));
+}
+
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        return (await cache.match(request)) || (request.mode === 'navigate' ? offlinePage() : Response.error());
+    }
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+    const request = event.request;
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then(async (response) => {
+            if (response.ok) await cache.put(request, response.clone());
+            return response;
+        });
+
+    if (cached) {
+        // Refresh in the background, keeping the worker alive until the copy is
+        // stored; failures just keep the cached copy
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network.catch(() => Response.error());
+}
+
+async function offlinePage() {
+    const texts = await loadTexts();
+    return new Response(
+        `<!DOCTYPE html><html lang="${escapeHtml(texts.lang)}" dir="${escapeHtml(texts.dir)}"><head><meta charset="UTF-8">`
+        + `<meta name="viewport" content="width=device-width, initial-scale=1.0"><title>${escapeHtml(texts.title)}</title>`
+        + '<link href="/public/css/style.css" rel="stylesheet"></head>'
+        + `<body><main class="container py-5 text-center"><h1>${escapeHtml(texts.heading)}</h1>`
+        + `<p>${escapeHtml(texts.text)}</p><p><a href="/products">${escapeHtml(texts.link)}</a></p></main></body></html>`,
+        { status: 503, headers: { 'Content-Type': 'text/html; charset=UTF-8' } }
+    );
+}
+
+// Keep the texts in the cache: the worker can be stopped between two messages
+async function saveTexts(message) {
+    const texts = {};
+    Object.keys(DEFAULT_TEXTS).forEach(key => {
+        texts[key] = typeof message[key] === 'string' && message[key] !== '' ? message[key] : DEFAULT_TEXTS[key];
+    });
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.put(TEXTS_KEY, new Response(JSON.stringify(texts), { headers: { 'Content-Type': 'application/json' } }));
+}
+
+async function loadTexts() {
+    try {
+        const response = await caches.match(TEXTS_KEY, { cacheName: SHELL_CACHE });
+        return response ? { ...DEFAULT_TEXTS, ...(await response.json()) } : DEFAULT_TEXTS;
+    } catch (error) {
+        return DEFAULT_TEXTS;
+    }
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// ======================
+// OFFLINE QUEUE
+// ======================
+
+async function sendOrQueue(request) {
+    // Keep a copy: the body can only be read once
+    const copy = request.clone();
+    try {
+        return await fetch(request);
+    } catch (error) {
+        await enqueue(copy);
+        const texts = await loadTexts();
+        return new Response(JSON.stringify({
+            success: false,
+            queued: true,
+            message: texts.queued
+        }), { status: 202, headers: { 'Content-Type': 'application/json' } });
+    }
+}
+
+async function enqueue(request) {
+    const entry = {
+        url: request.url,
+        method: request.method,
+        headers: Array.from(request.headers.entries()),
+        body: await request.arrayBuffer(),
+        queuedAt: Date.now()
+    };
+    await withStore('readwrite', store => store.add(entry));
+
+    if (self.registration.sync) {
+        await self.registration.sync.register(SYNC_TAG).catch(() => {});
+    }
+    await notify({ type: 'queued', url: new URL(request.url).pathname });
+}
+
+let replaying = null;
+
+// Send queued requests oldest first. A network failure stops the replay and keeps the
+// rest for the next attempt; a request the server rejects is dropped, as it would
+// fail again.
+function replayQueue() {
+    replaying = replaying || (async () => {
+        let sent = 0;
+        let failed = 0;
+        try {
+            const entries = await withStore('readonly', store => store.getAll());
+            for (const entry of entries) {
+                // Rejects while still offline; Background Sync then retries later
+                const response = await fetch(entry.url, {
+                    method: entry.method,
+                    headers: entry.headers,
+                    body: entry.body,
+                    credentials: 'same-origin'
+                });
+                if (response.status >= 500) {
+                    throw new Error(`Replay of ${entry.url} failed with status ${response.status}`);
+                }
+                await withStore('readwrite', store => store.delete(entry.id));
+                if (response.ok) {
+                    sent++;
+                } else {
+                    failed++;
+                }
+            }
+        } finally {
+            replaying = null;
+            if (sent || failed) await notify({ type: 'replayed', sent, failed });
+        }
+    })();
+    return replaying;
+}
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open(DB_NAME, 1);
+        open.onupgradeneeded = () => open.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        open.onsuccess = () => resolve(open.result);
+        open.onerror = () => reject(open.error);
+    });
+}
+
+// Run one request against the queue store and resolve with its result
+async function withStore(mode, operation) {
+    const db = await openDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE, mode);
+            const request = operation(transaction.objectStore(STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+async function notify(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
@@ -0,0 +1,87 @@
+/**
+ * Cart quantities and stock rules
+ *
+ * A quantity change on the cart page checks the product's stock once and
+ * sends one /cart/update: bringing the stepper within the rules the cart just
+ * fetched must not start another change. A change the server refuses is not
+ * sent again.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, startApp, requests, withStatus, tick } from './helpers/dom.js';
+
+const STOCK = { product_id: 5, stock_quantity: 10, manage_stock: true, allow_backorders: false,
+    min_order_quantity: 1, order_quantity_step: 1, max_order_quantity: null };
+
+let quantity = 2;
+const serverCart = () => ({ success: true, items: [{ product_id: 5, quantity, price: '4.00', name: 'Mug', image: '' }] });
+
+const since = (start, path) => requests.slice(start).filter(request => new URL(request.url, 'http://localhost').pathname === path);
+
+before(async () => {
+    setupDom('<div class="cart-list" data-component="cart-list"></div>', {
+        userId: '7',
+        respond: (url, options) => {
+            if (url.includes('/stock')) return STOCK;
+            if (url === '/cart/update') {
+                if (options.body.get('quantity') === '7') {
+                    return withStatus(422, { success: false, message: 'Product not available' });
+                }
+                quantity = parseInt(options.body.get('quantity'));
+            }
+            return serverCart();
+        }
+    });
+    await startApp();
+    await tick(10);
+});
+
+after(() => window.close());
+
+async function change(value) {
+    const input = document.querySelector('.cart-item[data-product-id="5"] .quantity-input');
+    input.value = String(value);
+    input.dispatchEvent(new window.Event('change', { bubbles: true }));
+    await tick(10);
+    return input;
+}
+
+test('the cart page shows the server cart', () => {
+    assert.equal(document.querySelector('.cart-item[data-product-id="5"] .quantity-input').value, '2');
+});
+
+test('a quantity change checks the stock once and sends one update', async () => {
+    const start = requests.length;
+    await change(3);
+
+    assert.equal(since(start, '/api/products/5/stock').length, 1);
+    assert.deepEqual(since(start, '/cart/update').map(request => request.options.body.get('quantity')), ['3']);
+});
+
+test('a refused change takes the server cart back', async () => {
+    const input = await change(7);
+
+    assert.equal(input.value, '3');
+    assert.equal(window.App.get('cart').quantityOf(5), 3);
+    assert.equal(JSON.parse(localStorage.getItem('cart')).some(item => item.dirty), false);
+    assert.ok(Array.from(document.querySelectorAll('.toast-body'))
+        .some(toast => toast.textContent === 'Your cart could not be updated. It now shows what was saved.'));
+});
+
+test('a refused change is not sent again on the next sync', async () => {
+    const start = requests.length;
+    await window.App.get('cart').syncWithServer();
+    await tick(10);
+
+    assert.equal(since(start, '/cart/update').length, 0);
+});
+
+test('a quantity above the stock is lowered once', async () => {
+    const start = requests.length;
+    const input = await change(12);
+
+    assert.equal(since(start, '/api/products/5/stock').length, 1);
+    assert.deepEqual(since(start, '/cart/update').map(request => request.options.body.get('quantity')), ['10']);
+    assert.equal(input.value, '10');
+});
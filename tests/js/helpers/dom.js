@@ -0,0 +1,82 @@
+/**
+ * Browser environment for the front-end tests
+ *
+ * Builds a jsdom page and exposes its window as the globals public/js expects.
+ * The page embeds the message catalog of `language` (config/lang), as the
+ * layouts do.
+ * Requests go to `respond(url, options)`, which returns the JSON body to answer
+ * with, or withStatus(status, body) for another status than 200; every request
+ * is recorded in `requests`. Call setupDom() before
+ * importing app.js: the modules read the page when they load.
+ */
+
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const GLOBALS = [
+    'window', 'document', 'navigator', 'history', 'location', 'localStorage', 'sessionStorage',
+    'Node', 'Element', 'HTMLElement', 'HTMLInputElement', 'HTMLFormElement', 'Event', 'CustomEvent',
+    'KeyboardEvent', 'MouseEvent', 'FormData', 'MutationObserver', 'DOMParser', 'Option',
+    'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame'
+];
+
+export const requests = [];
+
+const STATUS = Symbol('status');
+
+// Answer a request with an HTTP status other than 200
+export const withStatus = (status, body) => ({ [STATUS]: status, body });
+
+export function setupDom(body = '', { userId = '', language = 'en', respond = () => ({}) } = {}) {
+    const catalog = readFileSync(new URL(`../../../config/lang/${language}.json`, import.meta.url), 'utf8');
+    const dom = new JSDOM(`<!DOCTYPE html><html lang="${language}"><head><meta name="user-id" content="${userId}">
+        <script type="application/json" id="i18n-messages">${catalog}</script></head><body>${body}</body></html>`, {
+        url: 'http://localhost/',
+        pretendToBeVisual: true
+    });
+    const { window } = dom;
+
+    window.IntersectionObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+    window.CSS = { escape: (value) => String(value) };
+    window.scrollTo = () => {};
+    window.fetch = async (url, options = {}) => {
+        requests.push({ url: String(url), options });
+        let body = await respond(String(url), options);
+        let status = 200;
+        if (body && body[STATUS]) {
+            ({ [STATUS]: status, body } = body);
+        }
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            headers: { get: () => 'application/json' },
+            json: async () => body,
+            text: async () => JSON.stringify(body)
+        };
+    };
+
+    GLOBALS.forEach(name => {
+        Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+    });
+    // jsdom has no BroadcastChannel; Node's would keep the test process alive, so
+    // TabSync falls back to the storage event as in browsers without it
+    ['IntersectionObserver', 'CSS', 'fetch', 'BroadcastChannel'].forEach(name => {
+        Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+    });
+
+    return window;
+}
+
+// Start the application as the browser would once the page is parsed
+export async function startApp() {
+    await import('../../../public/js/app.js');
+    document.dispatchEvent(new window.Event('DOMContentLoaded'));
+    await tick();
+    return window.App;
+}
+
+export const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
@@ -0,0 +1,88 @@
+/**
+ * Product grid windowing
+ *
+ * Scrolling the grid must only add and remove the rows entering and leaving
+ * the rendered window: cards that stay in it are the same elements, so they
+ * keep their state and focus.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, tick } from './helpers/dom.js';
+
+// 2 columns of 100px rows in a 400px viewport
+const ROW_HEIGHT = 100;
+const COLUMNS = 2;
+const products = Array.from({ length: 200 }, (_, i) => ({ id: i + 1, name: `Product ${i + 1}`, price: 10 }));
+
+let ProductGrid;
+let grid;
+let scrollY = 0;
+
+const ids = () => Array.from(grid.container.children, card => Number(card.dataset.productId));
+
+function scrollTo(y) {
+    scrollY = y;
+    grid.render();
+}
+
+before(async () => {
+    setupDom(`
+        <div class="products-container" id="grid"></div>
+        <script type="application/json" id="product-listing">${JSON.stringify({ products, total: 200, page: 1, pages: 1 })}</script>
+    `);
+
+    // jsdom has no layout
+    Object.defineProperty(window, 'innerHeight', { value: 400, configurable: true });
+    Object.defineProperty(window.HTMLElement.prototype, 'offsetHeight', { get: () => ROW_HEIGHT, configurable: true });
+    const getComputedStyle = window.getComputedStyle;
+    globalThis.getComputedStyle = window.getComputedStyle = (element) => (element.id === 'grid'
+        ? { gridTemplateColumns: Array(COLUMNS).fill('100px').join(' '), rowGap: '0px' }
+        : getComputedStyle(element));
+    document.getElementById('grid').getBoundingClientRect = () => ({ top: -scrollY });
+
+    ({ ProductGrid } = await import('../../public/js/components/product-grid.js'));
+    grid = new ProductGrid(document.getElementById('grid'));
+    await tick();
+});
+
+after(() => {
+    grid.destroy();
+    window.close();
+});
+
+test('renders only the rows around the viewport', () => {
+    // 4 visible rows and 4 below
+    assert.deepEqual(ids(), products.slice(0, 16).map(product => product.id));
+    assert.equal(grid.container.style.paddingTop, '0px');
+    assert.equal(grid.container.style.paddingBottom, `${(100 - 8) * ROW_HEIGHT}px`);
+});
+
+test('scrolling keeps the cards still in the window', () => {
+    const kept = grid.container.querySelector('[data-product-id="10"]');
+    kept.querySelector('.add-to-cart').focus();
+
+    scrollTo(6 * ROW_HEIGHT);
+
+    // Rows 2-13: 4 above the first visible row, 4 below the last
+    assert.deepEqual(ids(), products.slice(4, 28).map(product => product.id));
+    assert.equal(grid.container.querySelector('[data-product-id="10"]'), kept);
+    assert.equal(document.activeElement, kept.querySelector('.add-to-cart'));
+    assert.equal(grid.container.style.paddingTop, `${2 * ROW_HEIGHT}px`);
+});
+
+test('scrolling back up adds the rows above', () => {
+    const kept = grid.container.querySelector('[data-product-id="10"]');
+
+    scrollTo(ROW_HEIGHT);
+
+    assert.deepEqual(ids(), products.slice(0, 18).map(product => product.id));
+    assert.equal(grid.container.querySelector('[data-product-id="10"]'), kept);
+});
+
+test('jumping past the window renders it anew', () => {
+    scrollTo(80 * ROW_HEIGHT);
+
+    assert.deepEqual(ids(), products.slice(152, 176).map(product => product.id));
+    assert.equal(grid.container.style.paddingTop, `${76 * ROW_HEIGHT}px`);
+});
@@ -0,0 +1,82 @@
+/**
+ * Product names are text
+ *
+ * Names come from the catalog, the cart and localStorage, so markup in them
+ * must show as typed wherever the front end displays a product: cart rows,
+ * search suggestions, toasts and the compare tray.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, startApp, tick } from './helpers/dom.js';
+
+const NAME = '<img src="x" onerror="window.hacked = true"><b>Bold</b> & "Co" <script>window.hacked = true</script>';
+
+// Elements that only markup injected through a product name would create
+const INJECTED = 'img[src="x"], b, script:not([type])';
+
+let App;
+
+before(async () => {
+    setupDom(`
+        <form id="search-form" class="search-container">
+            <input id="search-input">
+            <div id="search-results" hidden></div>
+        </form>
+        <div class="cart-list" data-component="cart-list"></div>
+    `, {
+        respond: (url) => {
+            if (url.includes('/stock')) return { product_id: 1, stock_quantity: 10, manage_stock: 1 };
+            if (url.startsWith('/api/products/autocomplete')) return [{ id: 1, name: NAME, price: 9.5, image: '' }];
+            if (url.startsWith('/api/categories')) return [{ id: 2, name: NAME, product_count: 3 }];
+            return {};
+        }
+    });
+    App = await startApp();
+});
+
+after(() => window.close());
+
+test('cart rows show the name as text', async () => {
+    await App.get('cart').addItem(1, 1, 9.5, NAME);
+    await tick();
+
+    const row = document.querySelector('.cart-list .cart-item');
+    assert.ok(row, 'the cart page lists the item');
+    assert.equal(row.querySelector('.cart-item-name').textContent, NAME);
+    assert.equal(row.querySelector('.remove-from-cart').getAttribute('aria-label'), `Remove ${NAME} from cart`);
+    assert.equal(row.querySelectorAll(INJECTED).length, 0);
+});
+
+test('toasts show the name as text', () => {
+    const toast = Array.from(document.querySelectorAll('.toast'))
+        .find(element => element.textContent.includes('added to cart'));
+    assert.ok(toast, 'adding to the cart shows a toast');
+    assert.equal(toast.querySelector('.toast-body').textContent, `${NAME} added to cart!`);
+    assert.equal(toast.querySelectorAll(INJECTED).length, 0);
+});
+
+test('search suggestions show product and category names as text', async () => {
+    await App.get('search').performSearch('bold');
+
+    const listbox = document.querySelector('#search-results');
+    const titles = Array.from(listbox.querySelectorAll('.search-result-title'), title => title.textContent);
+    assert.deepEqual(titles, [NAME]);
+    assert.ok(listbox.textContent.includes(NAME), 'the category suggestion shows the name');
+    // Only the highlighted query is markup
+    assert.deepEqual(Array.from(listbox.querySelectorAll('mark'), mark => mark.textContent), ['Bold', 'Bold']);
+    assert.equal(listbox.querySelectorAll(INJECTED).length, 0);
+});
+
+test('the compare tray shows the name as text', () => {
+    App.get('compare').toggle({ id: 1, name: NAME, image: '' });
+
+    const tray = document.querySelector('.compare-tray');
+    assert.equal(tray.querySelector('.compare-tray-name').textContent, NAME);
+    assert.equal(tray.querySelector('.compare-tray-remove').getAttribute('aria-label').includes(NAME), true);
+    assert.equal(tray.querySelectorAll(INJECTED).length, 0);
+});
+
+test('no injected script ran', () => {
+    assert.equal(window.hacked, undefined);
+});
@@ -0,0 +1,28 @@
+/**
+ * Validation parity
+ *
+ * Runs the cases of tests/fixtures/validation-parity.json through the browser's
+ * ValidationRules. tests/php/validation_parity.php runs the same cases through
+ * Validator::checkRule(), so both must agree.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { ValidationRules } from '../../public/js/core/validation-rules.js';
+
+const read = (path) => JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'));
+const manifest = read('../../config/validation-rules.json');
+const fixture = read('../fixtures/validation-parity.json');
+
+ValidationRules.use({ ...manifest, ...fixture.rules });
+
+fixture.cases.forEach((testCase, index) => {
+    test(`#${index} ${testCase.rule} ${JSON.stringify(testCase.value)}`, () => {
+        if (testCase.throws) {
+            assert.throws(() => ValidationRules.check(testCase.rule, testCase.value));
+        } else {
+            assert.equal(ValidationRules.check(testCase.rule, testCase.value), testCase.error);
+        }
+    });
+});
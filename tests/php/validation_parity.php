@@ -0,0 +1,50 @@
+<?php
+/**
+ * Validation Parity Test
+ *
+ * Runs the cases of tests/fixtures/validation-parity.json through
+ * Validator::checkRule(). tests/js/validation-parity.test.js runs the same
+ * cases through the browser's ValidationRules, so both must agree.
+ *
+ * Usage: php tests/php/validation_parity.php
+ * Exits with status 1 when a case fails.
+ */
+
+require_once __DIR__ . '/../../classes/Validator.php';
+
+$fixture = json_decode(file_get_contents(__DIR__ . '/../fixtures/validation-parity.json'), true, 512, JSON_THROW_ON_ERROR);
+Validator::useRules(array_merge(Validator::getRules(), $fixture['rules']));
+
+$failures = [];
+
+foreach ($fixture['cases'] as $index => $case) {
+    $label = '#' . $index . ' ' . $case['rule'] . ' ' . json_encode($case['value'], JSON_UNESCAPED_UNICODE);
+
+    try {
+        $error = Validator::checkRule($case['rule'], $case['value']);
+    } catch (InvalidArgumentException $e) {
+        if (empty($case['throws'])) {
+            $failures[] = $label . ': unexpected ' . $e->getMessage();
+        }
+        continue;
+    }
+
+    if (!empty($case['throws'])) {
+        $failures[] = $label . ': expected an exception';
+    } elseif ($error !== $case['error']) {
+        $failures[] = $label . ': expected ' . json_encode($case['error']) . ', got ' . json_encode($error);
+    }
+
+    // The shared email pattern must not accept what FILTER_VALIDATE_EMAIL refuses
+    if ($case['rule'] === 'email' && $error === null && trim($case['value']) !== ''
+        && filter_var($case['value'], FILTER_VALIDATE_EMAIL) === false) {
+        $failures[] = $label . ': accepted, but FILTER_VALIDATE_EMAIL refuses it';
+    }
+}
+
+foreach ($failures as $failure) {
+    echo 'FAIL ' . $failure . PHP_EOL;
+}
+echo count($fixture['cases']) - count($failures) . ' of ' . count($fixture['cases']) . ' cases passed' . PHP_EOL;
+
+exit($failures ? 1 : 0);
@@ -5,6 +5,7 @@
  */
 
 require_once '../../includes/functions.php';
+require_once '../../classes/Validator.php';
 
 $pageTitle = 'Register - ' . SITE_NAME;
 $errors = [];
@@ -26,45 +27,27 @@ if ($_POST) {
     $phone = sanitizeInput($_POST['phone'] ?? '');
     $acceptTerms = isset($_POST['accept_terms']);
 
-    // Validation
-    if (empty($username)) {
-        $errors['username'] = 'Username is required';
-    } elseif (strlen($username) < 3) {
-        $errors['username'] = 'Username must be at least 3 characters';
-    } elseif (!preg_match('/^[a-zA-Z0-9_]+$/', $username)) {
-        $errors['username'] = 'Username can only contain letters, numbers, and underscores';
-    }
-
-    if (empty($email)) {
-        $errors['email'] = 'Email is required';
-    } elseif (!filter_var($email, FILTER_VALIDATE_EMAIL)) {
-        $errors['email'] = 'Please enter a valid email address';
-    }
-
-    if (empty($password)) {
-        $errors['password'] = 'Password is required';
-    } elseif (strlen($password) < 8) {
-        $errors['password'] = 'Password must be at least 8 characters';
-    } elseif (!preg_match('/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/', $password)) {
-        $errors['password'] = 'Password must contain at least one uppercase letter, one lowercase letter, and one number';
+    // Validation (rules shared with the form's client-side validator)
+    $fieldRules = [
+        'username' => [$username, 'username'],
+        'email' => [$email, 'email'],
+        'password' => [$password, 'password'],
+        'first_name' => [$firstName, 'name'],
+        'last_name' => [$lastName, 'name'],
+        'phone' => [$phone, 'phone']
+    ];
+
+    foreach ($fieldRules as $field => [$value, $rule]) {
+        $error = Validator::checkRule($rule, $value);
+        if ($error !== null) {
+            $errors[$field] = $error;
+        }
     }
 
     if ($password !== $confirmPassword) {
         $errors['confirm_password'] = 'Passwords do not match';
     }
 
-    if (empty($firstName)) {
-        $errors['first_name'] = 'First name is required';
-    }
-
-    if (empty($lastName)) {
-        $errors['last_name'] = 'Last name is required';
-    }
-
-    if (!empty($phone) && !preg_match('/^[\+]?[1-9][\d]{0,15}$/', str_replace([' ', '-', '(', ')'], '', $phone))) {
-        $errors['phone'] = 'Please enter a valid phone number';
-    }
-
     if (!$acceptTerms) {
         $errors['accept_terms'] = 'You must accept the terms and conditions';
     }
@@ -115,8 +98,6 @@ if ($_POST) {
         }
     }
 }
-
-include '../../includes/header.php';
 ?>
 
 <div class="container-fluid">
@@ -155,7 +136,7 @@ include '../../includes/header.php';
                                    name="first_name" 
                                    value="<?= htmlspecialchars($firstName ?? '') ?>" 
                                    required
-                                   data-min-length="2">
+                                   data-rule-name>
                             <?php if (isset($errors['first_name'])): ?>
                                 <div class="invalid-feedback"><?= $errors['first_name'] ?></div>
                             <?php endif; ?>
@@ -169,7 +150,7 @@ include '../../includes/header.php';
                                    name="last_name" 
                                    value="<?= htmlspecialchars($lastName ?? '') ?>" 
                                    required
-                                   data-min-length="2">
+                                   data-rule-name>
                             <?php if (isset($errors['last_name'])): ?>
                                 <div class="invalid-feedback"><?= $errors['last_name'] ?></div>
                             <?php endif; ?>
@@ -184,13 +165,11 @@ include '../../includes/header.php';
                                name="username" 
                                value="<?= htmlspecialchars($username ?? '') ?>" 
                                required
-                               data-min-length="3"
-                               pattern="[a-zA-Z0-9_]+"
-                               title="Username can only contain letters, numbers, and underscores">
+                               data-rule-username>
                         <?php if (isset($errors['username'])): ?>
                             <div class="invalid-feedback"><?= $errors['username'] ?></div>
                         <?php endif; ?>
-                        <div class="form-text">3-20 characters. Letters, numbers, and underscores only.</div>
+                        <div class="form-text">3-50 characters. Letters, numbers, and underscores only; cannot start with a number.</div>
                     </div>
 
                     <div class="mb-3">
@@ -229,7 +208,8 @@ include '../../includes/header.php';
                                        id="password" 
                                        name="password" 
                                        required
-                                       data-min-length="8">
+                                       data-rule-password
+                                       data-password-strength>
                                 <button class="btn btn-outline-secondary" type="button" id="togglePassword">
                                     <i class="fas fa-eye"></i>
                                 </button>
@@ -244,6 +224,7 @@ include '../../includes/header.php';
                                         <li>One uppercase letter</li>
                                         <li>One lowercase letter</li>
                                         <li>One number</li>
+                                        <li>One special character</li>
                                     </ul>
                                 </small>
                             </div>
@@ -255,7 +236,9 @@ include '../../includes/header.php';
                                    class="form-control <?= isset($errors['confirm_password']) ? 'is-invalid' : '' ?>" 
                                    id="confirm_password" 
                                    name="confirm_password" 
-                                   required>
+                                   required
+                                   data-rule-match="password"
+                                   data-msg-match="Passwords do not match">
                             <?php if (isset($errors['confirm_password'])): ?>
                                 <div class="invalid-feedback"><?= $errors['confirm_password'] ?></div>
                             <?php endif; ?>
@@ -380,27 +363,6 @@ document.getElementById('togglePassword').addEventListener('click', function() {
     }
 });
 
-// Password strength indicator
-document.getElementById('password').addEventListener('input', function() {
-    const password = this.value;
-    const strengthIndicator = document.getElementById('password-strength');
-    
-    if (!strengthIndicator) return;
-    
-    let strength = 0;
-    if (password.length >= 8) strength++;
-    if (/[a-z]/.test(password)) strength++;
-    if (/[A-Z]/.test(password)) strength++;
-    if (/\d/.test(password)) strength++;
-    if (/[!@#$%^&*(),.?":{}|<>]/.test(password)) strength++;
-    
-    const strengthLevels = ['Very Weak', 'Weak', 'Fair', 'Good', 'Strong'];
-    const strengthColors = ['danger', 'warning', 'info', 'success', 'success'];
-    
-    strengthIndicator.textContent = strengthLevels[strength] || '';
-    strengthIndicator.className = `text-${strengthColors[strength] || 'muted'}`;
-});
-
 // Real-time password confirmation
 document.getElementById('confirm_password').addEventListener('input', function() {
     const password = document.getElementById('password').value;
@@ -463,5 +425,3 @@ function registerWithFacebook() {
     alert('Facebook registration would be implemented here');
 }
 </script>
-
-<?php include '../../includes/footer.php'; ?>
@@ -0,0 +1,38 @@
+<?php
+/**
+ * Shopping Cart View
+ *
+ * This page shows the visitor's shopping cart. The cart lives in the
+ * browser (and, for logged-in users, in the cart_items table), so the
+ * list is rendered by the "cart-list" component in public/js/components/cart-list.js.
+ *
+ * Features:
+ * - Cart items with quantity steppers and remove buttons
+ * - Cart total in the chosen display currency
+ * - Checkout link
+ */
+?>
+
+<section class="py-4">
+    <div class="container">
+        <h1 class="h3 mb-4"><?php echo sanitizeOutput(t('cart.title')); ?></h1>
+
+        <div class="row g-4">
+            <div class="col-lg-8">
+                <div class="cart-list" data-component="cart-list" aria-live="polite"></div>
+            </div>
+            <div class="col-lg-4">
+                <div class="card cart-summary">
+                    <div class="card-body">
+                        <div class="d-flex justify-content-between mb-3">
+                            <span><?php echo sanitizeOutput(t('cart.total')); ?></span>
+                            <strong class="cart-total"></strong>
+                        </div>
+                        <a href="/checkout" class="btn btn-primary w-100"><?php echo sanitizeOutput(t('cart.checkout')); ?></a>
+                        <a href="/products" class="btn btn-link w-100 mt-2"><?php echo sanitizeOutput(t('cart.continue')); ?></a>
+                    </div>
+                </div>
+            </div>
+        </div>
+    </div>
+</section>
@@ -201,6 +201,20 @@ $additionalHead = '
                                         data-product-id="<?php echo $product['id']; ?>">
                                     <i class="fas fa-shopping-cart"></i>
                                 </button>
+                                <button type="button" class="btn btn-light btn-sm ms-2 compare-btn"
+                                        data-product-id="<?php echo $product['id']; ?>"
+                                        data-name="<?php echo sanitizeOutput($product['name']); ?>"
+                                        data-image="<?php echo $product['image'] ? 'public/images/products/' . sanitizeOutput($product['image']) : 'public/images/placeholder.jpg'; ?>"
+                                        title="Compare">
+                                    <i class="fas fa-balance-scale" aria-hidden="true"></i>
+                                    <span class="visually-hidden">Compare</span>
+                                </button>
+                                <button type="button" class="btn btn-light btn-sm ms-2 quick-view-btn"
+                                        data-product-id="<?php echo $product['id']; ?>"
+                                        title="Quick view">
+                                    <i class="fas fa-search-plus" aria-hidden="true"></i>
+                                    <span class="visually-hidden">Quick view</span>
+                                </button>
                             </div>
                         </div>
                         <div class="card-body">
@@ -215,11 +229,11 @@ $additionalHead = '
                             </p>
                             <div class="d-flex justify-content-between align-items-center">
                                 <div>
-                                    <span class="product-price text-primary fw-bold">
+                                    <span class="product-price text-primary fw-bold" data-component="price" data-price="<?php echo (float) $product['price']; ?>">
                                         <?php echo formatCurrency($product['price']); ?>
                                     </span>
                                     <?php if (isset($product['compare_price']) && $product['compare_price'] > $product['price']): ?>
-                                        <small class="product-original-price ms-2">
+                                        <small class="product-original-price ms-2" data-component="price" data-price="<?php echo (float) $product['compare_price']; ?>">
                                             <?php echo formatCurrency($product['compare_price']); ?>
                                         </small>
                                     <?php endif; ?>
@@ -251,6 +265,13 @@ $additionalHead = '
 </section>
 <?php endif; ?>
 
+<!-- Recently Viewed (kept in the browser, rendered by recently-viewed.js) -->
+<section class="py-4">
+    <div class="container">
+        <div class="recently-viewed" data-component="recently-viewed" hidden></div>
+    </div>
+</section>
+
 <!-- Statistics Section -->
 <section class="py-5 bg-primary text-white">
     <div class="container">
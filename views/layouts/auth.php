@@ -1,16 +1,23 @@
 <!DOCTYPE html>
-<html lang="en">
+<html lang="<?= htmlspecialchars(currentLocale()) ?>" dir="<?= textDirection() ?>">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title><?= $pageTitle ?? 'Authentication - Alibaba Clone' ?></title>
+    <meta name="csrf-token" content="<?= generateCSRFToken() ?>">
+    <meta name="user-id" content="<?= htmlspecialchars($_SESSION['user_id'] ?? '') ?>">
+    <meta name="locale" content="<?= htmlspecialchars(currentLocale()) ?>">
+    <meta name="currency" content="<?= htmlspecialchars(currentCurrency()) ?>">
+    <!-- Web app manifest -->
+    <link rel="manifest" href="/public/manifest.webmanifest">
+    <meta name="theme-color" content="#0d6efd">
     
     <!-- Bootstrap CSS -->
-    <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+    <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap<?= textDirection() === 'rtl' ? '.rtl' : '' ?>.min.css" rel="stylesheet">
     <!-- Font Awesome -->
     <link href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css" rel="stylesheet">
-    <!-- Custom Auth CSS -->
-    <link href="/public/css/auth.css" rel="stylesheet">
+    <!-- Custom CSS (form validation and password strength styles) -->
+    <link href="/public/css/style.css" rel="stylesheet">
     
     <style>
         body {
@@ -75,7 +82,13 @@
     
     <!-- Bootstrap JS -->
     <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js"></script>
-    <!-- Custom Auth JS -->
-    <script src="/public/js/auth.js"></script>
+    <!-- Validation rules shared with classes/Validator.php -->
+    <?= validationRulesScript() ?>
+    <!-- Translated UI messages for core/i18n.js -->
+    <?= i18nScript() ?>
+    <!-- Exchange rates for the currency switcher -->
+    <?= currencyRatesScript() ?>
+    <!-- Custom JS: form validation, password strength meter -->
+    <script type="module" src="/public/js/app.js"></script>
 </body>
 </html>
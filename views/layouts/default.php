@@ -1,13 +1,20 @@
 <!DOCTYPE html>
-<html lang="en">
+<html lang="<?= htmlspecialchars(currentLocale()) ?>" dir="<?= textDirection() ?>">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title><?= $pageTitle ?? 'Alibaba Clone' ?></title>
     <meta name="description" content="<?= $metaDescription ?? 'Professional e-commerce platform built with PHP and MySQL' ?>">
+    <meta name="csrf-token" content="<?= generateCSRFToken() ?>">
+    <meta name="user-id" content="<?= htmlspecialchars($_SESSION['user_id'] ?? '') ?>">
+    <meta name="locale" content="<?= htmlspecialchars(currentLocale()) ?>">
+    <meta name="currency" content="<?= htmlspecialchars(currentCurrency()) ?>">
+    <!-- Web app manifest -->
+    <link rel="manifest" href="/public/manifest.webmanifest">
+    <meta name="theme-color" content="#0d6efd">
     
     <!-- Bootstrap CSS -->
-    <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+    <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap<?= textDirection() === 'rtl' ? '.rtl' : '' ?>.min.css" rel="stylesheet">
     <!-- Font Awesome -->
     <link href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css" rel="stylesheet">
     <!-- Custom CSS -->
@@ -20,7 +27,7 @@
 </head>
 <body>
     <!-- Navigation -->
-    <?php include __DIR__ . '/../includes/navbar.php'; ?>
+    <?php include __DIR__ . '/../../includes/navbar.php'; ?>
     
     <!-- Flash Messages -->
     <?php if (isset($_SESSION['flash_messages']) && !empty($_SESSION['flash_messages'])): ?>
@@ -41,12 +48,18 @@
     </main>
     
     <!-- Footer -->
-    <?php include __DIR__ . '/../includes/footer.php'; ?>
+    <?php include __DIR__ . '/../../includes/footer.php'; ?>
     
     <!-- Bootstrap JS -->
     <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js"></script>
+    <!-- Validation rules shared with classes/Validator.php -->
+    <?= validationRulesScript() ?>
+    <!-- Translated UI messages for core/i18n.js -->
+    <?= i18nScript() ?>
+    <!-- Exchange rates for the currency switcher -->
+    <?= currencyRatesScript() ?>
     <!-- Custom JS -->
-    <script src="/public/js/app.js"></script>
+    <script type="module" src="/public/js/app.js"></script>
     
     <!-- Additional scripts -->
     <?php if (isset($additionalScripts)): ?>
@@ -0,0 +1,61 @@
+<?php
+/**
+ * Product Cards Partial
+ *
+ * Product cards of a listing page, as returned in the "html" field of the
+ * listing's ?format=json answer. Mirrors productCard() in
+ * public/js/components/product-grid.js, which renders the same cards client-side.
+ *
+ * Expects $products as returned by Product::getListing(); renders nothing
+ * when it is empty, leaving the empty state to the page.
+ */
+?>
+<?php foreach ($products as $product): ?>
+    <?php
+    $url = '/product/' . (int) $product['id'];
+    $image = $product['image'] ? '/public/images/products/' . $product['image'] : '/public/images/placeholder.jpg';
+    $rating = (int) round((float) ($product['rating'] ?? 0));
+    ?>
+    <div class="col-lg-4 col-md-6 mb-4">
+        <div class="card product-card h-100" data-product-id="<?php echo (int) $product['id']; ?>">
+            <a href="<?php echo $url; ?>"><img src="<?php echo sanitizeOutput($image); ?>" class="card-img-top" alt="<?php echo sanitizeOutput($product['name']); ?>" loading="lazy"></a>
+            <div class="card-body">
+                <h6 class="card-title"><a href="<?php echo $url; ?>" class="text-decoration-none text-dark"><?php echo sanitizeOutput($product['name']); ?></a></h6>
+                <p class="card-text text-muted text-truncate-2"><?php echo sanitizeOutput($product['description']); ?></p>
+                <div class="d-flex justify-content-between align-items-center">
+                    <div>
+                        <span class="product-price text-primary fw-bold" data-component="price" data-price="<?php echo (float) $product['price']; ?>"><?php echo formatCurrency($product['price']); ?></span>
+                        <?php if ($product['compare_price'] > $product['price']): ?>
+                            <small class="product-original-price ms-2" data-component="price" data-price="<?php echo (float) $product['compare_price']; ?>"><?php echo formatCurrency($product['compare_price']); ?></small>
+                        <?php endif; ?>
+                    </div>
+                    <div class="rating" aria-label="<?php echo $rating; ?>/5">
+                        <?php for ($i = 1; $i <= 5; $i++): ?>
+                            <i class="<?php echo $i <= $rating ? 'fas' : 'far'; ?> fa-star text-warning" aria-hidden="true"></i>
+                        <?php endfor; ?>
+                    </div>
+                </div>
+                <div class="d-flex gap-2 mt-2">
+                    <button type="button" class="btn btn-primary btn-sm flex-grow-1 add-to-cart"
+                            data-product-id="<?php echo (int) $product['id']; ?>"
+                            data-price="<?php echo (float) $product['price']; ?>"
+                            data-name="<?php echo sanitizeOutput($product['name']); ?>"
+                            data-image="<?php echo sanitizeOutput($image); ?>">
+                        <i class="fas fa-shopping-cart" aria-hidden="true"></i> <?php echo sanitizeOutput(t('listing.add_to_cart')); ?>
+                    </button>
+                    <button type="button" class="btn btn-outline-secondary btn-sm compare-btn"
+                            data-product-id="<?php echo (int) $product['id']; ?>"
+                            data-name="<?php echo sanitizeOutput($product['name']); ?>"
+                            data-image="<?php echo sanitizeOutput($image); ?>">
+                        <?php echo sanitizeOutput(t('compare.toggle')); ?>
+                    </button>
+                    <button type="button" class="btn btn-outline-secondary btn-sm quick-view-btn"
+                            data-product-id="<?php echo (int) $product['id']; ?>" title="<?php echo sanitizeOutput(t('quick_view.open')); ?>">
+                        <i class="fas fa-search-plus" aria-hidden="true"></i>
+                        <span class="visually-hidden"><?php echo sanitizeOutput(t('quick_view.open')); ?></span>
+                    </button>
+                </div>
+            </div>
+        </div>
+    </div>
+<?php endforeach; ?>
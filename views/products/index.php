@@ -0,0 +1,133 @@
+<?php
+/**
+ * Product Listing View
+ *
+ * The catalog (/products) and the category pages (/category/{id}). The grid
+ * is the "product-grid" component in public/js/components/product-grid.js:
+ * it renders the first page embedded below and loads the next ones as the
+ * visitor scrolls. The sidebar controls are handled by FilterManager
+ * (public/js/components/filters.js). Without JavaScript the page shows the
+ * same first page with links to the others.
+ *
+ * Expects $listing and $facets as returned by Product::getListing() and
+ * Product::getFacets(), $categories, the applied $filters, and the $category
+ * being browsed (null on /products).
+ */
+
+$selected = function ($name) use ($filters) {
+    $value = $filters[$name] ?? null;
+    if ($value === null || $value === '') {
+        return [];
+    }
+    return array_map('strval', is_array($value) ? $value : explode(',', $value));
+};
+$pageUrl = function ($page) {
+    return '?' . http_build_query(array_merge($_GET, ['page' => $page]));
+};
+
+$brands = array_keys($facets['brand'] ?? []);
+sort($brands, SORT_NATURAL | SORT_FLAG_CASE);
+
+$sorts = [
+    '' => t('listing.sorts.newest'),
+    'price_asc' => t('listing.sorts.price_asc'),
+    'price_desc' => t('listing.sorts.price_desc'),
+    'name_asc' => t('listing.sorts.name_asc'),
+    'name_desc' => t('listing.sorts.name_desc')
+];
+?>
+
+<section class="py-4">
+    <div class="container">
+        <div class="d-flex justify-content-between align-items-baseline mb-4">
+            <h1 class="h3 mb-0"><?php echo sanitizeOutput($category ? $category['name'] : t('listing.all_products')); ?></h1>
+            <span class="text-muted" data-filter-total><?php echo sanitizeOutput(t('listing.total', ['count' => (int) $listing['total']])); ?></span>
+        </div>
+
+        <div class="row g-4">
+            <aside class="col-lg-3">
+                <div class="mb-4">
+                    <label for="listing-sort" class="form-label fw-bold"><?php echo sanitizeOutput(t('listing.sort_by')); ?></label>
+                    <select id="listing-sort" class="form-select filter-select" name="sort">
+                        <?php foreach ($sorts as $value => $label): ?>
+                            <option value="<?php echo $value; ?>" <?php echo ($filters['sort'] ?? '') === $value ? 'selected' : ''; ?>><?php echo sanitizeOutput($label); ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                </div>
+
+                <?php if (!$category && $categories): ?>
+                    <fieldset class="mb-4">
+                        <legend class="fs-6 fw-bold"><?php echo sanitizeOutput(t('listing.category')); ?></legend>
+                        <?php foreach ($categories as $item): ?>
+                            <div class="form-check">
+                                <input class="form-check-input filter-checkbox" type="checkbox" name="category"
+                                       id="category-<?php echo (int) $item['id']; ?>" value="<?php echo (int) $item['id']; ?>"
+                                       <?php echo in_array((string) $item['id'], $selected('category'), true) ? 'checked' : ''; ?>>
+                                <label class="form-check-label" for="category-<?php echo (int) $item['id']; ?>">
+                                    <?php echo sanitizeOutput($item['name']); ?>
+                                    <span class="facet-count">(<?php echo (int) ($facets['category'][$item['id']] ?? 0); ?>)</span>
+                                </label>
+                            </div>
+                        <?php endforeach; ?>
+                    </fieldset>
+                <?php endif; ?>
+
+                <?php if ($brands): ?>
+                    <fieldset class="mb-4">
+                        <legend class="fs-6 fw-bold"><?php echo sanitizeOutput(t('listing.brand')); ?></legend>
+                        <?php foreach ($brands as $i => $brand): ?>
+                            <div class="form-check">
+                                <input class="form-check-input filter-checkbox" type="checkbox" name="brand"
+                                       id="brand-<?php echo $i; ?>" value="<?php echo sanitizeOutput($brand); ?>"
+                                       <?php echo in_array((string) $brand, $selected('brand'), true) ? 'checked' : ''; ?>>
+                                <label class="form-check-label" for="brand-<?php echo $i; ?>">
+                                    <?php echo sanitizeOutput($brand); ?>
+                                    <span class="facet-count">(<?php echo (int) $facets['brand'][$brand]; ?>)</span>
+                                </label>
+                            </div>
+                        <?php endforeach; ?>
+                    </fieldset>
+                <?php endif; ?>
+
+                <a href="?" class="btn btn-link px-0 filter-reset"><?php echo sanitizeOutput(t('listing.clear_filters')); ?></a>
+            </aside>
+
+            <div class="col-lg-9">
+                <div class="products-container" data-component="product-grid"></div>
+                <script type="application/json" id="product-listing"><?php echo json_encode([
+                    'products' => $listing['products'],
+                    'total' => $listing['total'],
+                    'page' => $listing['page'],
+                    'pages' => $listing['pages']
+                ], JSON_HEX_TAG | JSON_HEX_AMP | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE); ?></script>
+
+                <noscript>
+                    <?php if ($listing['products']): ?>
+                        <div class="row">
+                            <?php
+                            $products = $listing['products'];
+                            require __DIR__ . '/cards.php';
+                            ?>
+                        </div>
+                    <?php else: ?>
+                        <p class="text-center text-muted py-5"><?php echo sanitizeOutput(t('listing.empty')); ?></p>
+                    <?php endif; ?>
+
+                    <?php if ($listing['pages'] > 1): ?>
+                        <nav aria-label="<?php echo sanitizeOutput(t('listing.pages')); ?>">
+                            <ul class="pagination justify-content-center align-items-center gap-3">
+                                <?php if ($listing['page'] > 1): ?>
+                                    <li class="page-item"><a class="page-link" href="<?php echo sanitizeOutput($pageUrl($listing['page'] - 1)); ?>" rel="prev"><?php echo sanitizeOutput(t('listing.previous')); ?></a></li>
+                                <?php endif; ?>
+                                <li class="text-muted"><?php echo sanitizeOutput(t('listing.page', ['page' => (int) $listing['page'], 'pages' => (int) $listing['pages']])); ?></li>
+                                <?php if ($listing['page'] < $listing['pages']): ?>
+                                    <li class="page-item"><a class="page-link" href="<?php echo sanitizeOutput($pageUrl($listing['page'] + 1)); ?>" rel="next"><?php echo sanitizeOutput(t('listing.next')); ?></a></li>
+                                <?php endif; ?>
+                            </ul>
+                        </nav>
+                    <?php endif; ?>
+                </noscript>
+            </div>
+        </div>
+    </div>
+</section>